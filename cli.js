@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Command line tools for the Teamup webhook handler
+//
+//   node cli.js reconcile [--calendar <key>] [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--dry-run] [--json] [--every <minutes>]
+//   node cli.js check [--calendar <key>] [--json] [--generate <file> [--force]]
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { formatReport } = require('./lib/reconcile');
+
+const USAGE = `Usage:
+  node cli.js reconcile [options]    Fix events whose Zoom link is missing or out of date
+  node cli.js check [options]        Check the mapping config against the live calendar
+
+Reconcile options:
+  --calendar <key>     Only reconcile this calendar (default: every configured calendar)
+  --start YYYY-MM-DD   First day to check (default: today)
+  --end YYYY-MM-DD     Last day to check (default: 30 days from now)
+  --dry-run            Report what would change without writing anything
+  --json               Print the report as JSON
+  --every <minutes>    Keep running, reconciling on this interval
+
+Check options:
+  --calendar <key>     Only check this calendar (default: every configured calendar)
+  --json               Print the report as JSON
+  --generate <file>    Write a starter mapping config (.json, .yml or .yaml) with one
+                       mapping per sub-calendar. Needs only CALENDAR_ID and TEAMUP_API_KEY
+  --force              Overwrite the file given to --generate`;
+
+// Parse "--flag value" and "--flag" arguments into an object
+function parseArgs(argv) {
+  const args = { _: [] };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    
+    const name = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    const next = argv[i + 1];
+    
+    if (next !== undefined && !next.startsWith('--')) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  
+  return args;
+}
+
+async function reconcileCommand(args) {
+  // Loaded lazily so --help works without a valid mapping config
+  const { runReconciliation, runReconciliationForAll, notifier } = require('./webhook-handler');
+  
+  const runOnce = async () => {
+    const options = {
+      startDate: args.start,
+      endDate: args.end,
+      dryRun: !!args.dryRun
+    };
+    const reports = args.calendar
+      ? [await runReconciliation({ ...options, calendarKey: args.calendar })]
+      : await runReconciliationForAll(options);
+    
+    if (args.json) {
+      console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+    } else {
+      reports.forEach(report => {
+        console.log(report.error ? `Calendar ${report.calendar}: ❌ ${report.error}` : formatReport(report));
+      });
+    }
+    
+    // Send failures now - the process may exit before the batch is due
+    await notifier.flush();
+    return reports;
+  };
+  
+  if (!args.every) {
+    const reports = await runOnce();
+    const failed = reports.some(report => report.error || report.changes.some(change => change.status === 'failed'));
+    return failed ? 1 : 0;
+  }
+  
+  const minutes = Number(args.every);
+  if (!(minutes > 0)) {
+    throw new Error('--every must be a number of minutes');
+  }
+  
+  console.log(`Reconciling every ${minutes} minute(s). Press Ctrl+C to stop.`);
+  
+  // Runs until the process is stopped; a failed run is logged and retried next interval
+  for (;;) {
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('❌ Reconciliation failed:', error.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, minutes * 60 * 1000));
+  }
+}
+
+// A Teamup client for each calendar to check: from the mapping config, or just
+// CALENDAR_ID and TEAMUP_API_KEY when generating a config that doesn't exist yet
+function checkTargets(args) {
+  const { ConfigError, loadCalendars } = require('./lib/config');
+  const { TeamupClient } = require('./lib/teamup-client');
+  const clientFor = (calendarKey, apiKey) => new TeamupClient({ calendarKey, apiKey, baseUrl: process.env.TEAMUP_BASE_URL || undefined });
+  
+  let calendars;
+  try {
+    calendars = loadCalendars();
+  } catch (error) {
+    if (!(error instanceof ConfigError) || !args.generate || !process.env.CALENDAR_ID || !process.env.TEAMUP_API_KEY) throw error;
+    return [{ calendarKey: process.env.CALENDAR_ID, config: null, client: clientFor(process.env.CALENDAR_ID, process.env.TEAMUP_API_KEY) }];
+  }
+  
+  const selected = calendars.filter(calendar => !args.calendar || calendar.calendarKey === args.calendar || calendars.length === 1);
+  if (selected.length === 0) throw new Error(`Unknown calendar ${args.calendar}`);
+  
+  return selected.map(calendar => {
+    if (!calendar.calendarKey || !calendar.apiKey) {
+      throw new Error('CALENDAR_ID and TEAMUP_API_KEY (or the calendar\'s apiKey) must be set');
+    }
+    return { calendarKey: calendar.calendarKey, config: calendar.config, client: clientFor(calendar.calendarKey, calendar.apiKey) };
+  });
+}
+
+async function checkCommand(args) {
+  const { checkCalendar, starterConfig, formatCheckReport } = require('./lib/calendar-check');
+  const targets = checkTargets(args);
+  
+  if (args.generate) {
+    if (typeof args.generate !== 'string') throw new Error('--generate needs a file name');
+    if (targets.length > 1) throw new Error('Several calendars are configured - choose one with --calendar');
+    if (fs.existsSync(args.generate) && !args.force) throw new Error(`${args.generate} already exists. Use --force to overwrite it`);
+    
+    const { client } = targets[0];
+    const [subcalendars, definitions] = await Promise.all([client.listSubcalendars(), client.listFieldDefinitions()]);
+    const starter = starterConfig(subcalendars, definitions);
+    const text = /\.ya?ml$/i.test(args.generate) ? yaml.dump(starter) : `${JSON.stringify(starter, null, 2)}\n`;
+    
+    fs.writeFileSync(args.generate, text);
+    console.log(`Wrote ${starter.mappings.length} mapping(s) to ${args.generate}. Replace each meeting URL, then point ZOOM_LINKS_CONFIG_FILE at it.`);
+    return 0;
+  }
+  
+  const reports = [];
+  for (const target of targets) {
+    reports.push({ calendar: target.calendarKey, ...await checkCalendar(target) });
+  }
+  
+  if (args.json) {
+    console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+  } else {
+    reports.forEach(report => console.log(formatCheckReport(report)));
+  }
+  
+  return reports.some(report => report.errors.length > 0) ? 1 : 0;
+}
+
+const COMMANDS = {
+  reconcile: reconcileCommand,
+  check: checkCommand
+};
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const command = COMMANDS[args._[0]];
+  
+  if (!command || args.help) {
+    console.log(USAGE);
+    return command || args.help ? 0 : 1;
+  }
+  
+  return command(args);
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  });
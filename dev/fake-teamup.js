@@ -0,0 +1,559 @@
+#!/usr/bin/env node
+// A local stand-in for the Teamup API, for running the handler with no network
+//
+//   node dev/fake-teamup.js [--port 4010] [--calendar ksfake] [--api-key fake-key] [--seed events.json]
+//
+// Then start the handler with TEAMUP_BASE_URL=http://localhost:4010, CALENDAR_ID and
+// TEAMUP_API_KEY set to the same calendar key and API key.
+//
+// It serves the calls the handler makes - GET/PUT /:calendarKey/events/:id, GET
+// /:calendarKey/events, GET /:calendarKey/subcalendars and GET /:calendarKey/field-definitions -
+// from events held in memory:
+//
+//   - Occurrences of a series ("<seriesId>-rid-<unix start>") are derived from the series
+//     master until one is written, after which the occurrence is stored on its own.
+//     Writes with redit "all" or "future" go to the master instead
+//   - Every write bumps the event's version. A PUT carrying an older version is rejected
+//     with 409 event_version_conflict, as Teamup does
+//   - Errors such as event_overlapping or validation_error can be queued for the next
+//     writes, and a concurrent edit by "someone else" can be slipped in before one
+//
+// Control routes under /__fake seed events, queue failures and edits and show the
+// request log, so scripts in another process can drive it. In the same process use
+// the FakeTeamup class directly (see dev/replay.js).
+//
+// It also stands in for the meeting providers' APIs, under /zoom and /google: OAuth
+// token endpoints that check the credentials in PROVIDER_CREDENTIALS and issue tokens
+// lasting tokenSeconds, Zoom meetings (create, update, delete) and Google Meet spaces
+// (create, end the conference). Point the handler at them with providerEnv(baseUrl).
+// Their requests go into the same request log.
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const { parseEventId } = require('../lib/recurrence');
+
+const DEFAULT_SUBCALENDARS = [
+  { id: 14098383, name: 'New Coffee Shop' },
+  { id: 14098359, name: 'Integrity Group AKA Saturday Morning Workshop' },
+  { id: 14098366, name: 'DJ Zoom' },
+  { id: 14156325, name: 'BC Powder' },
+  { id: 14098372, name: 'Power Lunch' },
+  { id: 14098358, name: 'SWeT Zoom' },
+  { id: 14132335, name: 'Soul Train' },
+  { id: 14098400, name: 'Sober Lounge' },
+  { id: 14099999, name: 'In-person Meetings' }
+];
+
+const DEFAULT_FIELD_DEFINITIONS = [
+  { id: 'title', name: 'Title', type: 'builtin', active: true },
+  { id: 'notes', name: 'Notes', type: 'builtin', active: true },
+  { id: 'zoom_link2', name: 'Zoom link', type: 'text', active: true, type_data: { multiline: true } },
+  { id: 'room', name: 'Room', type: 'choice', active: true, type_data: { choices: [{ id: '1', name: 'Main hall' }] } }
+];
+
+// Credentials the provider stubs accept - providerEnv() hands them to the handler
+const PROVIDER_CREDENTIALS = {
+  ZOOM_ACCOUNT_ID: 'fake-account',
+  ZOOM_CLIENT_ID: 'fake-zoom-client',
+  ZOOM_CLIENT_SECRET: 'fake-zoom-secret',
+  GOOGLE_CLIENT_ID: 'fake-google-client',
+  GOOGLE_CLIENT_SECRET: 'fake-google-secret',
+  GOOGLE_REFRESH_TOKEN: 'fake-refresh-token'
+};
+
+// Teamup's HTTP status for each error ID we simulate
+const ERROR_STATUS = {
+  event_overlapping: 400,
+  validation_error: 400,
+  event_missing_start_end_datetime: 400,
+  event_not_found: 404,
+  event_version_conflict: 409,
+  invalid_api_key: 401,
+  calendar_not_found: 404,
+  rate_limited: 429,
+  internal_error: 500
+};
+
+// Request-only fields that are never stored on the event
+const REQUEST_ONLY_FIELDS = ['redit', 'ristart_dt'];
+
+const toTeamupDate = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const eventSubcalendars = (event) => (event.subcalendar_ids || [event.subcalendar_id]).filter(id => id !== undefined).map(String);
+
+// RRULE UNTIL: 20240131 or 20240131T235959Z
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return new Date(value).getTime();
+  
+  const [, year, month, day, hour = 23, minute = 59, second = 59] = match;
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+};
+
+// Minutes a time zone is ahead of UTC at ms - 0 for events without a usable tz
+function zoneOffsetMinutes(ms, tz) {
+  if (!tz) return 0;
+  
+  const parts = {};
+  try {
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(ms)).forEach(part => {
+      if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+  } catch (error) {
+    return 0;
+  }
+  
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (asUtc - Math.floor(ms / 1000) * 1000) / 60000;
+}
+
+// Start times (ms) of a master's occurrences between two dates. Understands FREQ=DAILY
+// and WEEKLY with INTERVAL, COUNT and UNTIL - enough for fixtures, not a full RRULE engine.
+// Occurrences keep the master's wall-clock time in its tz, across daylight saving changes
+function expandOccurrences(master, fromMs, toMs, limit = 500) {
+  const rule = {};
+  String(master.rrule).split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    rule[key.toUpperCase()] = value;
+  });
+  
+  const stepDays = { DAILY: 1, WEEKLY: 7 }[rule.FREQ];
+  const firstMs = new Date(master.start_dt).getTime();
+  if (!stepDays) return firstMs >= fromMs && firstMs <= toMs ? [firstMs] : [];
+  
+  const stepMs = stepDays * Number(rule.INTERVAL || 1) * 24 * 60 * 60 * 1000;
+  const lastMs = Math.min(rule.UNTIL ? parseUntil(rule.UNTIL) : Infinity, toMs);
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const starts = [];
+  
+  // The first start as if its local time were UTC, stepped in whole days
+  const firstLocalMs = firstMs + zoneOffsetMinutes(firstMs, master.tz) * 60000;
+  const startOf = (localMs) => localMs - zoneOffsetMinutes(localMs - zoneOffsetMinutes(localMs, master.tz) * 60000, master.tz) * 60000;
+  
+  for (let index = 0, start = firstMs; index < count && start <= lastMs && starts.length < limit; index++) {
+    if (start >= fromMs) starts.push(start);
+    start = startOf(firstLocalMs + (index + 1) * stepMs);
+  }
+  
+  return starts;
+}
+
+class FakeTeamup {
+  constructor({ calendarKey = 'ksfake', apiKey = 'fake-key', subcalendars = DEFAULT_SUBCALENDARS, fieldDefinitions = DEFAULT_FIELD_DEFINITIONS, events = [], tokenSeconds = 3600 } = {}) {
+    this.calendarKey = calendarKey;
+    this.apiKey = apiKey;
+    this.subcalendars = subcalendars;
+    this.fieldDefinitions = fieldDefinitions;
+    this.events = new Map();
+    // IDs of occurrences deleted on their own, which their series no longer lists
+    this.deleted = new Set();
+    // [{ eventId, errorId, status, times, ifPayloadHas }] - eventId '*' matches every event
+    this.failures = [];
+    // [{ eventId, changes }] applied just before the next write to that event
+    this.edits = [];
+    // Every API request: { method, path, eventId, body, status, errorId }
+    this.requests = [];
+    // Provider stubs: issued access token → when it expires, Zoom meetings by ID and
+    // Meet spaces by name, numbered in creation order so runs are repeatable
+    this.tokenSeconds = tokenSeconds;
+    this.tokens = new Map();
+    this.meetings = new Map();
+    this.spaces = new Map();
+    this.created = 0;
+    this.seed(events);
+    this.app = this.createApp();
+  }
+  
+  // Add or replace events - one, an array, or the events of a webhook fixture's
+  // dispatch items. Each needs at least an id
+  seed(events) {
+    const list = events && events.dispatch ? events.dispatch.map(item => item.event) : [].concat(events);
+    list.forEach(event => {
+      this.events.set(String(event.id), { version: '1', ...clone(event), id: String(event.id) });
+      this.deleted.delete(String(event.id));
+    });
+  }
+  
+  // Delete an event, as when someone removes it in Teamup. An occurrence ID deletes just
+  // that occurrence of its series
+  remove(eventId) {
+    this.events.delete(String(eventId));
+    if (parseEventId(eventId).isInstance) this.deleted.add(String(eventId));
+  }
+  
+  // Answer the next `times` writes to eventId (or a series and its occurrences) with a
+  // Teamup error. With ifPayloadHas only payloads carrying that field fail, e.g. "rrule"
+  // to make the full recurring strategy hit event_overlapping and fall through
+  failNext({ eventId = '*', errorId = 'event_overlapping', status = ERROR_STATUS[errorId] || 400, times = 1, ifPayloadHas = null } = {}) {
+    this.failures.push({ eventId: String(eventId), errorId, status, times, ifPayloadHas });
+  }
+  
+  // Have someone else edit the event right before our next write to it, so that write
+  // carries a stale version
+  editBeforeNextWrite(eventId, changes = { notes: 'Edited by someone else' }) {
+    this.edits.push({ eventId: String(eventId), changes });
+  }
+  
+  reset() {
+    this.events.clear();
+    this.deleted.clear();
+    this.failures = [];
+    this.edits = [];
+    this.requests = [];
+    this.tokens.clear();
+    this.meetings.clear();
+    this.spaces.clear();
+    this.created = 0;
+  }
+  
+  // Environment for the handler's meeting providers to use the stubs of the fake
+  // listening on baseUrl
+  providerEnv(baseUrl) {
+    return {
+      ...PROVIDER_CREDENTIALS,
+      ZOOM_OAUTH_URL: `${baseUrl}/zoom/oauth/token`,
+      ZOOM_API_URL: `${baseUrl}/zoom/v2`,
+      GOOGLE_OAUTH_URL: `${baseUrl}/google/oauth/token`,
+      GOOGLE_MEET_API_URL: `${baseUrl}/google/meet/v2`
+    };
+  }
+  
+  issueToken(provider) {
+    const token = `${provider}-token-${this.tokens.size + 1}`;
+    this.tokens.set(token, Date.now() + this.tokenSeconds * 1000);
+    return { access_token: token, token_type: 'Bearer', expires_in: this.tokenSeconds };
+  }
+  
+  hasValidToken(req) {
+    const header = req.get('Authorization') || '';
+    const expiresAt = this.tokens.get(header.replace(/^Bearer /, ''));
+    return !!expiresAt && expiresAt > Date.now();
+  }
+  
+  // The event with this ID as the API would return it, or null. Unwritten occurrences
+  // are derived from their master; any timestamp is accepted
+  getEvent(eventId) {
+    const id = String(eventId);
+    if (this.events.has(id)) return clone(this.events.get(id));
+    if (this.deleted.has(id)) return null;
+    
+    const { seriesId, isInstance, occurrenceTimestamp } = parseEventId(id);
+    const master = this.events.get(String(seriesId));
+    if (!isInstance || !master || !master.rrule || occurrenceTimestamp === null) return null;
+    
+    return this.occurrence(master, occurrenceTimestamp * 1000);
+  }
+  
+  occurrence(master, startMs) {
+    const durationMs = new Date(master.end_dt).getTime() - new Date(master.start_dt).getTime();
+    const start = toTeamupDate(startMs);
+    
+    return {
+      ...clone(master),
+      id: `${master.id}-rid-${Math.floor(startMs / 1000)}`,
+      series_id: Number(master.id),
+      ristart_dt: start,
+      start_dt: start,
+      end_dt: toTeamupDate(startMs + durationMs)
+    };
+  }
+  
+  // Events overlapping [startDate, endDate], with series expanded into occurrences
+  listEvents({ startDate, endDate, subcalendarIds = [] }) {
+    const fromMs = startDate ? new Date(`${startDate}T00:00:00Z`).getTime() : -Infinity;
+    const toMs = endDate ? new Date(`${endDate}T23:59:59Z`).getTime() : Infinity;
+    const wanted = subcalendarIds.map(String);
+    const listed = [];
+    
+    this.events.forEach(event => {
+      if (parseEventId(event.id).isInstance) return;
+      
+      if (event.rrule) {
+        expandOccurrences(event, fromMs, toMs).forEach(startMs => {
+          const id = `${event.id}-rid-${Math.floor(startMs / 1000)}`;
+          if (this.deleted.has(id)) return;
+          listed.push(this.events.has(id) ? clone(this.events.get(id)) : this.occurrence(event, startMs));
+        });
+      } else if (new Date(event.end_dt).getTime() >= fromMs && new Date(event.start_dt).getTime() <= toMs) {
+        listed.push(clone(event));
+      }
+    });
+    
+    return listed.filter(event => wanted.length === 0 || eventSubcalendars(event).some(id => wanted.includes(id)));
+  }
+  
+  // Queued failure for this write, if any
+  takeFailure(eventId, payload) {
+    const { seriesId } = parseEventId(eventId);
+    const failure = this.failures.find(entry => entry.times > 0 &&
+      (entry.eventId === '*' || entry.eventId === eventId || entry.eventId === String(seriesId)) &&
+      (!entry.ifPayloadHas || payload[entry.ifPayloadHas] !== undefined));
+    
+    if (failure) failure.times--;
+    this.failures = this.failures.filter(entry => entry.times > 0);
+    return failure || null;
+  }
+  
+  // Apply a queued edit by someone else, bumping the version like a real save
+  applyEdit(eventId) {
+    const { seriesId } = parseEventId(eventId);
+    const index = this.edits.findIndex(entry => entry.eventId === eventId || entry.eventId === String(seriesId));
+    if (index === -1) return;
+    
+    const [{ changes }] = this.edits.splice(index, 1);
+    const current = this.getEvent(eventId);
+    if (current) this.store(eventId, { ...current, ...changes });
+  }
+  
+  store(eventId, event) {
+    const current = this.getEvent(eventId);
+    const stored = { ...event, id: eventId, version: String(Number((current && current.version) || 0) + 1), update_dt: toTeamupDate(Date.now()) };
+    REQUEST_ONLY_FIELDS.forEach(field => {
+      if (current && current[field] !== undefined) stored[field] = current[field];
+      else delete stored[field];
+    });
+    
+    this.events.set(eventId, stored);
+    return clone(stored);
+  }
+  
+  // PUT /events/:id
+  updateEvent(eventId, payload) {
+    this.applyEdit(eventId);
+    
+    const failure = this.takeFailure(eventId, payload);
+    if (failure) return { status: failure.status, errorId: failure.errorId, title: `Simulated ${failure.errorId}` };
+    
+    const current = this.getEvent(eventId);
+    if (!current) return { status: 404, errorId: 'event_not_found', title: 'Event not found' };
+    
+    if (!payload.start_dt || !payload.end_dt) {
+      return { status: 400, errorId: 'event_missing_start_end_datetime', title: 'Start and end date/time are required' };
+    }
+    
+    if (payload.version !== undefined && String(payload.version) !== String(current.version)) {
+      return { status: 409, errorId: 'event_version_conflict', title: 'The event was modified by someone else' };
+    }
+    
+    const { seriesId, isInstance } = parseEventId(eventId);
+    if (isInstance && (payload.redit === 'all' || payload.redit === 'future')) {
+      // Series-wide edit: everything but the occurrence's own timing goes to the master
+      const changes = { ...payload };
+      ['id', 'series_id', 'start_dt', 'end_dt', 'version'].forEach(field => delete changes[field]);
+      this.store(String(seriesId), { ...this.getEvent(String(seriesId)), ...changes });
+      return { status: 200, event: this.getEvent(eventId) };
+    }
+    
+    return { status: 200, event: this.store(eventId, { ...current, ...payload }) };
+  }
+  
+  createApp() {
+    const app = express();
+    app.use(bodyParser.json({ limit: '5mb' }));
+    // Google's token endpoint takes a form
+    app.use(bodyParser.urlencoded({ extended: false }));
+    
+    const sendError = (res, status, errorId, title) => res.status(status).json({ error: { id: errorId, title, message: title } });
+    
+    // Control routes
+    app.post('/__fake/events', (req, res) => {
+      this.seed(req.body.events || req.body);
+      res.status(200).json({ events: this.events.size });
+    });
+    app.get('/__fake/events/:eventId', (req, res) => {
+      const event = this.getEvent(req.params.eventId);
+      return event ? res.status(200).json({ event }) : sendError(res, 404, 'event_not_found', 'Event not found');
+    });
+    app.post('/__fake/failures', (req, res) => {
+      this.failNext(req.body);
+      res.status(200).json({ failures: this.failures });
+    });
+    app.post('/__fake/edits', (req, res) => {
+      this.editBeforeNextWrite(req.body.eventId, req.body.changes);
+      res.status(200).json({ edits: this.edits });
+    });
+    app.get('/__fake/requests', (req, res) => res.status(200).json({ requests: this.requests }));
+    app.post('/__fake/reset', (req, res) => {
+      this.reset();
+      res.status(200).json({ reset: true });
+    });
+    
+    this.addProviderRoutes(app);
+    
+    // Teamup API routes
+    app.use('/:calendarKey', (req, res, next) => {
+      const entry = { method: req.method, path: req.originalUrl, eventId: null, body: req.body && Object.keys(req.body).length > 0 ? req.body : null };
+      this.requests.push(entry);
+      
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        entry.status = res.statusCode;
+        entry.errorId = body && body.error ? body.error.id : null;
+        return json(body);
+      };
+      
+      if (req.params.calendarKey !== this.calendarKey) {
+        return sendError(res, 404, 'calendar_not_found', `Unknown calendar ${req.params.calendarKey}`);
+      }
+      if (req.get('Teamup-Token') !== this.apiKey) {
+        return sendError(res, 401, 'invalid_api_key', 'Invalid API key');
+      }
+      next();
+    });
+    
+    app.get('/:calendarKey/subcalendars', (req, res) => {
+      res.status(200).json({ subcalendars: this.subcalendars });
+    });
+    
+    app.get('/:calendarKey/field-definitions', (req, res) => {
+      res.status(200).json({ definitions: this.fieldDefinitions });
+    });
+    
+    app.get('/:calendarKey/events', (req, res) => {
+      const subcalendarIds = [].concat(req.query.subcalendarId || req.query['subcalendarId[]'] || []);
+      res.status(200).json({ events: this.listEvents({ startDate: req.query.startDate, endDate: req.query.endDate, subcalendarIds }) });
+    });
+    
+    app.get('/:calendarKey/events/:eventId', (req, res) => {
+      this.requests[this.requests.length - 1].eventId = req.params.eventId;
+      const event = this.getEvent(req.params.eventId);
+      return event ? res.status(200).json({ event }) : sendError(res, 404, 'event_not_found', 'Event not found');
+    });
+    
+    app.put('/:calendarKey/events/:eventId', (req, res) => {
+      this.requests[this.requests.length - 1].eventId = req.params.eventId;
+      const result = this.updateEvent(req.params.eventId, req.body || {});
+      return result.errorId
+        ? sendError(res, result.status, result.errorId, result.title)
+        : res.status(200).json({ event: result.event });
+    });
+    
+    app.use((req, res) => sendError(res, 404, 'not_found', `No fake route for ${req.method} ${req.path}`));
+    
+    return app;
+  }
+  
+  // Zoom and Google Meet stubs, answering like the real APIs for the calls the providers make
+  addProviderRoutes(app) {
+    const providerError = (res, status, message) => res.status(status).json({ message });
+    
+    app.use(['/zoom', '/google'], (req, res, next) => {
+      const entry = { method: req.method, path: req.originalUrl, eventId: null, body: req.body && Object.keys(req.body).length > 0 ? req.body : null, errorId: null };
+      this.requests.push(entry);
+      res.on('finish', () => {
+        entry.status = res.statusCode;
+      });
+      
+      if (/\/oauth\/token$/.test(req.path) || this.hasValidToken(req)) return next();
+      return providerError(res, 401, 'Invalid access token');
+    });
+    
+    app.post('/zoom/oauth/token', (req, res) => {
+      const expected = Buffer.from(`${PROVIDER_CREDENTIALS.ZOOM_CLIENT_ID}:${PROVIDER_CREDENTIALS.ZOOM_CLIENT_SECRET}`).toString('base64');
+      if (req.get('Authorization') !== `Basic ${expected}` || req.query.grant_type !== 'account_credentials' || req.query.account_id !== PROVIDER_CREDENTIALS.ZOOM_ACCOUNT_ID) {
+        return providerError(res, 401, 'Invalid client_id or client_secret');
+      }
+      res.status(200).json(this.issueToken('zoom'));
+    });
+    
+    app.post('/zoom/v2/users/:userId/meetings', (req, res) => {
+      const number = ++this.created;
+      const id = 85000000000 + number;
+      const meeting = {
+        ...req.body,
+        id,
+        host_id: req.params.userId,
+        join_url: `https://zoom.us/j/${id}?pwd=fake${number}`,
+        password: `pass${number}`,
+        settings: { ...(req.body.settings || {}), global_dial_in_numbers: [{ number: '+1 346 248 7799', country_name: 'US' }] }
+      };
+      this.meetings.set(String(id), meeting);
+      res.status(201).json(meeting);
+    });
+    
+    app.patch('/zoom/v2/meetings/:meetingId', (req, res) => {
+      const meeting = this.meetings.get(req.params.meetingId);
+      if (!meeting) return providerError(res, 404, 'Meeting does not exist');
+      
+      this.meetings.set(req.params.meetingId, { ...meeting, ...req.body, settings: { ...meeting.settings, ...(req.body.settings || {}) } });
+      res.status(204).end();
+    });
+    
+    app.delete('/zoom/v2/meetings/:meetingId', (req, res) => {
+      if (!this.meetings.delete(req.params.meetingId)) return providerError(res, 404, 'Meeting does not exist');
+      res.status(204).end();
+    });
+    
+    app.post('/google/oauth/token', (req, res) => {
+      const body = req.body || {};
+      if (body.grant_type !== 'refresh_token' || body.client_id !== PROVIDER_CREDENTIALS.GOOGLE_CLIENT_ID ||
+        body.client_secret !== PROVIDER_CREDENTIALS.GOOGLE_CLIENT_SECRET || body.refresh_token !== PROVIDER_CREDENTIALS.GOOGLE_REFRESH_TOKEN) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Bad client credentials or refresh token' });
+      }
+      res.status(200).json(this.issueToken('google'));
+    });
+    
+    app.post('/google/meet/v2/spaces', (req, res) => {
+      const number = ++this.created;
+      const code = `abc-defg-${String(number).padStart(3, '0')}`;
+      const space = { name: `spaces/fake${number}`, meetingUri: `https://meet.google.com/${code}`, meetingCode: code, config: (req.body && req.body.config) || {} };
+      this.spaces.set(space.name, space);
+      res.status(200).json(space);
+    });
+    
+    // Nobody ever joins a stub space, so there is never a conference to end
+    app.post(/^\/google\/meet\/v2\/(spaces\/[^/:]+):endActiveConference$/, (req, res) => {
+      if (!this.spaces.has(req.params[0])) return providerError(res, 404, 'Space not found');
+      providerError(res, 400, 'No active conference');
+    });
+  }
+  
+  // Start listening. Resolves with the base URL to use as TEAMUP_BASE_URL
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => resolve(`http://localhost:${this.server.address().port}`));
+      this.server.on('error', reject);
+    });
+  }
+  
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+module.exports = {
+  DEFAULT_SUBCALENDARS,
+  DEFAULT_FIELD_DEFINITIONS,
+  PROVIDER_CREDENTIALS,
+  FakeTeamup
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+  };
+  
+  const fake = new FakeTeamup({ calendarKey: option('calendar', 'ksfake'), apiKey: option('api-key', 'fake-key') });
+  const seedFile = option('seed');
+  if (seedFile) {
+    const seeded = JSON.parse(require('fs').readFileSync(seedFile, 'utf8'));
+    fake.seed(seeded.events || seeded);
+  }
+  
+  fake.listen(Number(option('port', '4010'))).then(url => {
+    console.log(`Fake Teamup API for calendar ${fake.calendarKey} on ${url} (API key ${fake.apiKey})`);
+  });
+}
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// Replay recorded webhook fixtures through the full POST /webhook flow against the
+// fake Teamup API, with no network
+//
+//   node dev/replay.js [fixture.json ...] [--config zoom-links.example.json]
+//                      [--fail <errorId>[:<field>]] [--conflict] [--sign <how>]
+//                      [--token-seconds <n>] [--json]
+//                      [--check | --update] [--expected <dir>]
+//   node dev/replay.js --feed dev/fixtures/feeds/<fixture>.json [--check | --update] [--expected <dir>]
+//
+// Every fixture in dev/fixtures is replayed when none are given. Each webhook is
+// signed, posted to the handler over HTTP, and its queued jobs are run to completion.
+// Meeting providers use the fake's Zoom and Google Meet stubs, and the meetings they
+// create are kept in a scratch file for the run.
+// The events the fake ends up holding, its request log and any dead-lettered jobs are
+// printed. Exits with 1 when a webhook is rejected or a job dead-letters, so it can run in CI.
+//
+//   --fail event_overlapping:rrule   answer writes carrying an rrule with event_overlapping
+//   --fail validation_error          answer the first write with validation_error
+//   --conflict                       someone else edits each event just before our write
+//   --sign missing|bad|stale         send each webhook unsigned, signed with the wrong secret
+//                                    or with an hour-old timestamp. Every one must be answered
+//                                    401 without a single API request
+//   --check                          compare each fixture's status, request log and resulting
+//                                    custom fields with dev/fixtures/expected (npm test)
+//   --update                         rewrite dev/fixtures/expected from this run
+//   --token-seconds 60               have the fake's Zoom and Google OAuth stubs issue tokens
+//                                    this short-lived, so the providers fetch a new one
+//                                    before every call
+//   --expected <dir>                 check against (or update) <dir> instead, e.g. the
+//                                    outcomes recorded with --conflict
+//   --feed <fixture>                 seed the events a feed fixture lists ({ subcalendarId,
+//                                    events, deleted }) and GET the sub-calendar's .ics feed
+//                                    instead of replaying webhooks. --check compares it with
+//                                    <expected>/<fixture>.ics
+//
+// npm test runs dev/test.js, which checks every recorded scenario in turn.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { FakeTeamup } = require('./fake-teamup');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXPECTED_DIR = path.join(FIXTURES_DIR, 'expected');
+const SIGNINGS = ['valid', 'missing', 'bad', 'stale'];
+
+function parseArgs(argv) {
+  const args = { fixtures: [], fail: [], conflict: false, sign: 'valid', tokenSeconds: null, json: false, check: false, update: false, expected: null, feeds: [], config: path.join(__dirname, '..', 'zoom-links.example.json') };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') args.config = argv[++i];
+    else if (arg === '--fail') args.fail.push(argv[++i]);
+    else if (arg === '--conflict') args.conflict = true;
+    else if (arg === '--sign') args.sign = argv[++i];
+    else if (arg === '--token-seconds') args.tokenSeconds = Number(argv[++i]);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--check') args.check = true;
+    else if (arg === '--update') args.update = true;
+    else if (arg === '--expected') args.expected = path.resolve(argv[++i]);
+    else if (arg === '--feed') args.feeds.push(argv[++i]);
+    else args.fixtures.push(arg);
+  }
+  
+  if (!SIGNINGS.includes(args.sign)) {
+    throw new Error(`Unknown --sign "${args.sign}". Use ${SIGNINGS.join(', ')}`);
+  }
+  
+  // The default outcomes are the fixtures as recorded - other scenarios get their own
+  if ((args.check || args.update) && !args.expected && (args.fail.length > 0 || args.conflict || args.sign !== 'valid')) {
+    throw new Error('--fail, --conflict and --sign change the outcome - give --expected <dir> to check them');
+  }
+  args.expected = args.expected || EXPECTED_DIR;
+  
+  if (args.fixtures.length === 0 && args.feeds.length === 0) {
+    args.fixtures = fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json')).sort().map(name => path.join(FIXTURES_DIR, name));
+  }
+  
+  return args;
+}
+
+// What --check compares: the answer's status, every API request and each event's custom
+// fields afterwards
+const outcome = (result) => ({
+  status: result.status,
+  requests: result.requests,
+  events: result.events.map(event => (event.deleted ? { id: event.id, deleted: true } : { id: event.id, version: event.version, custom: event.custom || {} }))
+});
+
+// Differences between a result and its expected outcome, one line each
+function compareOutcome(result, expectedDir) {
+  const file = path.join(expectedDir, result.fixture);
+  if (!fs.existsSync(file)) return [`no expected outcome at ${path.relative(process.cwd(), file)} - run npm test -- --update`];
+  
+  const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const actual = outcome(result);
+  return Object.keys(actual)
+    .filter(key => JSON.stringify(actual[key]) !== JSON.stringify(expected[key]))
+    .map(key => `${key}: expected ${JSON.stringify(expected[key])}\n      got      ${JSON.stringify(actual[key])}`);
+}
+
+const removeFile = (file) => {
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+};
+
+function get(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, path: urlPath }, response => {
+      let text = '';
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body: text }));
+    }).on('error', reject);
+  });
+}
+
+function post(port, urlPath, body, headers) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ port, path: urlPath, method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, response => {
+      let text = '';
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body: text }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// GET the feed each feed fixture describes. Returns true when one failed or differs
+async function replayFeeds(args, fake, port) {
+  let failed = false;
+  
+  for (const file of args.feeds) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fake.reset();
+    fake.seed(fixture.events);
+    (fixture.deleted || []).forEach(eventId => fake.remove(eventId));
+    
+    const response = await get(port, `/feeds/${fixture.subcalendarId}.ics`);
+    const name = `${path.basename(file, '.json')}.ics`;
+    const expectedFile = path.join(args.expected, name);
+    if (response.status !== 200) failed = true;
+    
+    if (args.update) {
+      fs.mkdirSync(args.expected, { recursive: true });
+      fs.writeFileSync(expectedFile, response.body);
+      console.log(`Wrote ${path.relative(process.cwd(), expectedFile)}`);
+    } else if (args.check) {
+      const expected = fs.existsSync(expectedFile) ? fs.readFileSync(expectedFile, 'utf8') : null;
+      const matches = response.status === 200 && response.body === expected;
+      if (!matches) failed = true;
+      console.log(`${matches ? '✅' : '❌'} ${name}`);
+      
+      if (expected === null) {
+        console.log(`    no expected feed at ${path.relative(process.cwd(), expectedFile)} - run npm test -- --update`);
+      } else if (!matches) {
+        const got = response.body.split('\r\n');
+        const wanted = expected.split('\r\n');
+        const line = got.findIndex((text, index) => text !== wanted[index]);
+        console.log(`    status ${response.status}, line ${line + 1}: expected ${JSON.stringify(wanted[line])}\n      got      ${JSON.stringify(got[line])}`);
+      }
+    } else {
+      console.log(`\n${name}: ${response.status}\n${response.body}`);
+    }
+  }
+  
+  return failed;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const fixtures = args.fixtures.map(file => ({ file, webhook: JSON.parse(fs.readFileSync(file, 'utf8')) }));
+  
+  const fake = new FakeTeamup({ calendarKey: (fixtures.length > 0 && fixtures[0].webhook.calendar) || 'ksfake', tokenSeconds: args.tokenSeconds || 3600 });
+  const baseUrl = await fake.listen();
+  const secret = crypto.randomBytes(16).toString('hex');
+  const meetingsFile = path.join(os.tmpdir(), `replay-meetings-${process.pid}-${secret.slice(0, 8)}.json`);
+  
+  // The handler reads its settings when it is first required
+  Object.assign(process.env, {
+    TEAMUP_BASE_URL: baseUrl,
+    CALENDAR_ID: fake.calendarKey,
+    TEAMUP_API_KEY: fake.apiKey,
+    TEAMUP_WEBHOOK_SECRET: secret,
+    ZOOM_LINKS_CONFIG_FILE: args.config,
+    TEAMUP_REQUESTS_PER_SECOND: process.env.TEAMUP_REQUESTS_PER_SECOND || '0',
+    TEAMUP_MAX_RETRIES: process.env.TEAMUP_MAX_RETRIES || '0',
+    ENABLE_LOGGING: process.env.ENABLE_LOGGING || 'true',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'warn',
+    // Keeps the startup check's requests out of the first fixture's log
+    CALENDAR_CHECK: process.env.CALENDAR_CHECK || 'false',
+    // Feeds cover every fixture date, however long ago, and are built afresh each time
+    FEED_PAST_DAYS: process.env.FEED_PAST_DAYS || '36500',
+    FEED_CACHE_SECONDS: '0',
+    // Zoom and Google Meet mappings talk to the fake's stubs
+    ...fake.providerEnv(baseUrl),
+    MEETING_STORE: 'file',
+    MEETING_STORE_FILE: meetingsFile,
+    // A replay's history isn't worth keeping
+    AUDIT_STORE: 'memory'
+  });
+  delete process.env.ZOOM_LINKS_CONFIG_BASE64;
+  
+  const app = require('../webhook-handler');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  
+  if (args.feeds.length > 0) {
+    const feedFailed = await replayFeeds(args, fake, server.address().port);
+    server.close();
+    await fake.close();
+    removeFile(meetingsFile);
+    return feedFailed ? 1 : 0;
+  }
+  
+  args.fail.forEach(spec => {
+    const [errorId, ifPayloadHas = null] = spec.split(':');
+    fake.failNext({ errorId, ifPayloadHas, times: ifPayloadHas ? Infinity : 1 });
+  });
+  
+  const results = [];
+  let failed = false;
+  
+  for (const { file, webhook } of fixtures) {
+    // Teamup holds every event it tells us about, except the ones it deleted
+    webhook.dispatch.forEach(item => {
+      if (item.trigger === 'event.removed') fake.remove(item.event.id);
+      else fake.seed(item.event);
+    });
+    if (args.conflict) webhook.dispatch.forEach(item => fake.editBeforeNextWrite(item.event.id));
+    
+    // A fresh timestamp keeps the webhook inside the replay window
+    const sentAt = args.sign === 'stale' ? new Date(Date.now() - 3600 * 1000) : new Date();
+    const body = JSON.stringify({ ...webhook, timestamp: sentAt.toISOString() });
+    const signature = crypto.createHmac('sha256', args.sign === 'bad' ? `not-${secret}` : secret).update(body).digest('hex');
+    const requestsBefore = fake.requests.length;
+    const response = await post(server.address().port, '/webhook', body, args.sign === 'missing' ? {} : { 'Teamup-Signature': signature });
+    
+    await app.jobQueue.drain();
+    for (let stats = await app.jobQueue.stats(); stats.pending > 0 || stats.running > 0; stats = await app.jobQueue.stats()) {
+      await app.jobQueue.drain();
+    }
+    
+    const result = {
+      fixture: path.basename(file),
+      status: response.status,
+      response: response.body,
+      events: webhook.dispatch.map(item => fake.getEvent(item.event.id) || { id: item.event.id, deleted: true }),
+      requests: fake.requests.slice(requestsBefore).map(entry => `${entry.method} ${entry.path} → ${entry.status}${entry.errorId ? ` ${entry.errorId}` : ''}`)
+    };
+    
+    if (args.sign === 'valid') {
+      if (response.status >= 300) failed = true;
+    } else if (response.status !== 401 || result.requests.length > 0) {
+      // Unsigned, wrongly signed and stale webhooks must be turned away before any API call
+      console.log(`❌ ${result.fixture}: ${args.sign} signature answered ${response.status} after ${result.requests.length} API request(s)`);
+      failed = true;
+    }
+    results.push(result);
+  }
+  
+  const deadLetters = await app.jobQueue.listDeadLetters();
+  if (deadLetters.length > 0) failed = true;
+  
+  if (args.update) {
+    fs.mkdirSync(args.expected, { recursive: true });
+    results.forEach(result => fs.writeFileSync(path.join(args.expected, result.fixture), `${JSON.stringify(outcome(result), null, 2)}\n`));
+    console.log(`Wrote ${results.length} expected outcome(s) to ${path.relative(process.cwd(), args.expected)}`);
+  }
+  
+  if (args.check) {
+    results.forEach(result => {
+      const differences = compareOutcome(result, args.expected);
+      if (differences.length > 0) failed = true;
+      console.log(`${differences.length > 0 ? '❌' : '✅'} ${result.fixture}`);
+      differences.forEach(line => console.log(`    ${line}`));
+    });
+    deadLetters.forEach(job => console.log(`❌ Dead-lettered: event ${job.payload.dispatchItem.event.id} - ${job.errors[job.errors.length - 1].message}`));
+  } else if (args.json) {
+    console.log(JSON.stringify({ results, deadLetters }, null, 2));
+  } else {
+    results.forEach(result => {
+      console.log(`\n${result.fixture}: ${result.status} ${result.response}`);
+      result.requests.forEach(line => console.log(`  ${line}`));
+      result.events.forEach(event => {
+        const fields = Object.keys(event.custom || {}).map(name => `${name}=${JSON.stringify(event.custom[name])}`);
+        console.log(`  event ${event.id}${event.deleted ? ' (deleted)' : ` v${event.version}: ${fields.join(' ') || '(no custom fields)'}`}`);
+      });
+    });
+    deadLetters.forEach(job => console.log(`\n❌ Dead-lettered: event ${job.payload.dispatchItem.event.id} - ${job.errors[job.errors.length - 1].message}`));
+  }
+  
+  server.close();
+  await fake.close();
+  removeFile(meetingsFile);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exit(code);
+  })
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// npm test: replay the fixtures in every scenario with recorded outcomes and compare
+// each with dev/fixtures/expected. The handler reads its settings once, when it is
+// required, so every scenario runs in its own process
+//
+//   node dev/test.js [--update]
+//
+// --update rewrites the expected outcomes of every scenario from this run.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const EXPECTED_DIR = path.join(__dirname, 'fixtures', 'expected');
+const FEEDS_DIR = path.join(__dirname, 'fixtures', 'feeds');
+const PROVIDERS_DIR = path.join(__dirname, 'fixtures', 'providers');
+
+// Each fixture builds on the meetings the ones before it created
+const PROVIDER_FIXTURES = [
+  'zoom-event-created.json',
+  'zoom-event-retimed.json',
+  'zoom-event-moved-off.json',
+  'zoom-series-created.json',
+  'zoom-occurrences-retimed.json',
+  'zoom-series-removed.json',
+  'zoom-series-moved-off.json',
+  'meet-event-created.json',
+  'meet-event-removed.json'
+];
+
+const SCENARIOS = [
+  { name: 'fixtures as recorded', args: [] },
+  { name: 'someone edits each event mid-update', args: ['--conflict', '--expected', path.join(EXPECTED_DIR, 'conflict')] },
+  // Rejected webhooks: 401 and no API request, whatever the fixture
+  ...Object.entries({ missing: 'unsigned webhook', bad: 'webhook signed with the wrong secret', stale: 'webhook with an hour-old timestamp' }).map(([how, name]) => ({
+    name,
+    args: [path.join(__dirname, 'fixtures', 'event-created.json'), '--sign', how, '--expected', path.join(EXPECTED_DIR, `signature-${how}`)]
+  })),
+  {
+    name: 'event fields in a link template',
+    args: [
+      path.join(__dirname, 'fixtures', 'templates', 'markup-title.json'),
+      '--config', path.join(__dirname, 'fixtures', 'templates', 'zoom-links.json'),
+      '--expected', path.join(EXPECTED_DIR, 'templates')
+    ]
+  },
+  {
+    name: 'meeting providers through their stub APIs',
+    args: [
+      ...PROVIDER_FIXTURES.map(name => path.join(PROVIDERS_DIR, name)),
+      '--config', path.join(PROVIDERS_DIR, 'zoom-links.json'),
+      '--expected', path.join(EXPECTED_DIR, 'providers')
+    ]
+  },
+  {
+    name: 'provider tokens expire between calls',
+    args: [
+      ...PROVIDER_FIXTURES.filter(name => name.startsWith('zoom-')).map(name => path.join(PROVIDERS_DIR, name)),
+      '--config', path.join(PROVIDERS_DIR, 'zoom-links.json'),
+      '--token-seconds', '60',
+      '--expected', path.join(EXPECTED_DIR, 'providers-token-refresh')
+    ]
+  },
+  {
+    name: 'iCalendar feeds',
+    args: fs.readdirSync(FEEDS_DIR).filter(name => name.endsWith('.json')).sort()
+      .flatMap(name => ['--feed', path.join(FEEDS_DIR, name)])
+      .concat(['--expected', path.join(EXPECTED_DIR, 'feeds')])
+  }
+];
+
+function main(argv) {
+  const mode = argv.includes('--update') ? '--update' : '--check';
+  let failed = 0;
+  
+  SCENARIOS.forEach(scenario => {
+    console.log(`\n${scenario.name}`);
+    const run = spawnSync(process.execPath, [path.join(__dirname, 'replay.js'), ...scenario.args, mode], {
+      stdio: 'inherit',
+      // Expected failures log warnings - keep the output to the results
+      env: { LOG_LEVEL: 'error', ...process.env }
+    });
+    if (run.status !== 0) failed++;
+  });
+  
+  console.log(failed > 0 ? `\n❌ ${failed} of ${SCENARIOS.length} scenario(s) failed` : `\n✅ ${SCENARIOS.length} scenario(s) passed`);
+  return failed > 0 ? 1 : 0;
+}
+
+process.exit(main(process.argv.slice(2)));
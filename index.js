@@ -1,5 +1,10 @@
 // index.js
 const app = require('./webhook-handler');
 
+// `npm start` and `npm run dev` run this file directly - serve on PORT
+if (require.main === module) {
+  app.startServer();
+}
+
 // Export for Vercel
 module.exports = app;
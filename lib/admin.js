@@ -0,0 +1,153 @@
+// Admin page: what the handler is configured to do and what it has done lately
+//
+// The JSON status is built in webhook-handler.js; this module summarises the mapping
+// and renders the status as a single HTML page with a re-run button per failed event.
+
+const { escapeHtml } = require('./template');
+const { describeMatch } = require('./rules');
+
+// The loaded mapping without passcodes: meeting URLs lose their query string
+function mappingSummary(config) {
+  return config.mappings.map(mapping => ({
+    name: mapping.name,
+    subcalendarIds: mapping.subcalendarIds,
+    priority: mapping.priority,
+    conditions: describeMatch(mapping.match),
+    provider: mapping.provider.type,
+    meetingUrl: mapping.meeting ? String(mapping.meeting.url).replace(/[?#].*$/, '') : null,
+    meetingId: mapping.meeting && mapping.meeting.meetingId !== undefined ? String(mapping.meeting.meetingId) : null,
+    customFieldName: mapping.customFieldName,
+    strategies: mapping.strategies,
+    recurrenceScope: mapping.recurrenceScope,
+    subcalendarPolicy: mapping.subcalendarPolicy
+  }));
+}
+
+const cell = (value) => `<td>${escapeHtml(value === null || value === undefined ? '' : String(value))}</td>`;
+
+const table = (headings, rows, emptyText) => {
+  if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  
+  return `<table>
+<tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.join('')}</tr>`).join('\n')}
+</table>`;
+};
+
+// A form button that re-runs one event. The admin session cookie authenticates the post
+const rerunButton = (eventId, calendarKey) => {
+  const action = `admin/events/${encodeURIComponent(eventId)}/rerun?calendar=${encodeURIComponent(calendarKey || '')}`;
+  return `<td><form method="post" action="${escapeHtml(action)}"><button type="submit">Re-run</button></form></td>`;
+};
+
+const errorIds = (attempts) => (attempts || [])
+  .filter(attempt => !attempt.success)
+  .map(attempt => `${attempt.strategy}: ${attempt.errorId || 'unknown'}`)
+  .join(', ');
+
+// Render the status from GET /admin/api/status as an HTML page
+function renderAdminPage(status, { notice = '' } = {}) {
+  const mappingTable = (mappings) => table(
+    ['Name', 'Sub-calendars', 'Priority', 'Conditions', 'Meeting', 'Field', 'Strategies', 'Recurrence', 'Sub-calendar policy'],
+    mappings.map(mapping => [
+      cell(mapping.name),
+      cell(mapping.subcalendarIds.join(', ')),
+      cell(mapping.priority),
+      cell(mapping.conditions.join('; ')),
+      cell(mapping.provider === 'static' ? [mapping.meetingUrl, mapping.meetingId].filter(Boolean).join(' ') : `Created by ${mapping.provider}`),
+      cell(mapping.customFieldName),
+      cell(mapping.strategies.join(' → ')),
+      cell(mapping.recurrenceScope || 'default'),
+      cell(mapping.subcalendarPolicy)
+    ]),
+    'No mappings loaded'
+  );
+  
+  const calendars = status.calendars.map(calendar => `<h3>Calendar ${escapeHtml(calendar.calendarKey || '(not set)')}</h3>
+<p>${calendar.configured ? 'API key set' : 'Not configured - no API key'}, ${calendar.webhookSecret ? 'webhook signatures verified' : 'webhook signatures NOT verified'}</p>
+${mappingTable(calendar.mappings)}`).join('\n');
+
+  const failed = table(
+    ['When', 'Calendar', 'Event', 'Title', 'Sub-calendar', 'Error', 'Teamup error IDs', ''],
+    status.failedUpdates.map(entry => [
+      cell(entry.at),
+      cell(entry.calendar),
+      cell(entry.eventId),
+      cell(entry.title),
+      cell(entry.subcalendarId),
+      cell(entry.error),
+      cell(errorIds(entry.attempts)),
+      rerunButton(entry.eventId, entry.calendar)
+    ]),
+    'No failed updates'
+  );
+  
+  const deadLetters = table(
+    ['Failed at', 'Calendar', 'Event', 'Title', 'Trigger', 'Attempts', 'Last error', ''],
+    status.deadLetters.map(job => [
+      cell(job.failedAt),
+      cell(job.calendar),
+      cell(job.eventId),
+      cell(job.title),
+      cell(job.trigger),
+      cell(job.attempts),
+      cell(job.lastError),
+      rerunButton(job.eventId, job.calendar)
+    ]),
+    'No dead-lettered jobs'
+  );
+  
+  const recent = table(
+    ['When', 'Calendar', 'Source', 'Trigger', 'Event', 'Title', 'Sub-calendar', 'Outcome', 'Strategy', 'Detail'],
+    status.recentDeliveries.map(entry => [
+      cell(entry.at),
+      cell(entry.calendar),
+      cell(entry.source),
+      cell(entry.trigger),
+      cell(entry.eventId),
+      cell(entry.title),
+      cell(entry.subcalendarId),
+      cell(entry.status),
+      cell(entry.strategy),
+      cell(entry.error || errorIds(entry.attempts))
+    ]),
+    'Nothing processed yet'
+  );
+  
+  const { queue } = status;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Teamup Zoom links - admin</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 0.9em; }
+.notice { background: #eef6ee; padding: 8px; }
+.empty { color: #777; }
+</style>
+</head>
+<body>
+<h1>Teamup Zoom links</h1>
+${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+${status.dryRun ? '<p>Dry run - nothing is written to Teamup</p>' : ''}
+<p>Queue: ${queue.pending} pending, ${queue.running} running, ${queue.deadLetters} dead-lettered</p>
+<h2>Failed updates</h2>
+${failed}
+<h2>Dead-lettered jobs</h2>
+${deadLetters}
+<h2>Recent deliveries</h2>
+${recent}
+<h2>Sub-calendar mapping</h2>
+${calendars}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  mappingSummary,
+  renderAdminPage
+};
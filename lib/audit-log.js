@@ -0,0 +1,171 @@
+// Audit trail of what the handler did to each event
+//
+// Every processed dispatch item is recorded as one entry:
+//   { id, at, correlationId, calendar, source, trigger, eventId, seriesId, title, subcalendarId,
+//     field, before, after, status, strategy, attempts, error }
+// Clearing a stale link from another field is recorded as its own entry.
+//
+// Stores: "file" appends one JSON line per entry to a file so history survives restarts.
+// "memory" keeps the most recent entries in-process, for serverless platforms whose file
+// system doesn't last.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Whether an entry passes the { calendar, eventId, seriesId, status, since, until } filters.
+// eventId also matches entries recorded against the series with that ID
+function entryMatches(entry, { calendar, eventId, seriesId, status, since, until } = {}) {
+  const at = new Date(entry.at).getTime();
+  
+  return (!calendar || entry.calendar === calendar) &&
+    (!eventId || entry.eventId === String(eventId) || entry.seriesId === String(eventId)) &&
+    (!seriesId || entry.seriesId === String(seriesId)) &&
+    (!status || entry.status === status) &&
+    (!since || at >= new Date(since).getTime()) &&
+    (!until || at <= new Date(until).getTime());
+}
+
+// Apply the filters and { limit }, newest entries first
+function filterEntries(entries, filters = {}) {
+  const { limit = 100 } = filters;
+  
+  return entries
+    .filter(entry => entryMatches(entry, filters))
+    .reverse()
+    .slice(0, limit);
+}
+
+class MemoryAuditStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.entries = [];
+    this.maxEntries = maxEntries;
+  }
+  
+  // Stamp and store an entry. Returns the stored entry
+  async record(fields) {
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      at: new Date().toISOString(),
+      ...fields
+    };
+    await this.append(entry);
+    return entry;
+  }
+  
+  async append(entry) {
+    this.entries.push(entry);
+    this.entries = this.entries.slice(-this.maxEntries);
+  }
+  
+  async query(filters) {
+    return filterEntries(this.entries, filters);
+  }
+}
+
+// Append-only JSON lines file. Queries read it backwards from the end, a chunk at a time,
+// and stop once they have `limit` entries or reach entries older than `since` - the newest
+// history is found without loading the whole file. Unreadable lines are skipped rather
+// than losing the rest
+class FileAuditStore extends MemoryAuditStore {
+  constructor(filePath, { chunkSize = 64 * 1024 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.chunkSize = chunkSize;
+  }
+  
+  async append(entry) {
+    await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+  }
+  
+  // Entries newest first
+  async *entriesFromEnd() {
+    let file;
+    try {
+      file = await fs.promises.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    
+    try {
+      let position = (await file.stat()).size;
+      // The bytes of the earliest line read so far, which may continue in the previous chunk
+      let partial = Buffer.alloc(0);
+      
+      while (position > 0) {
+        const length = Math.min(this.chunkSize, position);
+        position -= length;
+        const chunk = Buffer.alloc(length);
+        await file.read(chunk, 0, length, position);
+        
+        // Before the start of the file, the bytes up to the first newline belong to a line
+        // that began in an earlier chunk - perhaps mid-character - so they wait for the rest
+        const bytes = Buffer.concat([chunk, partial]);
+        const newline = bytes.indexOf('\n');
+        if (position > 0 && newline === -1) {
+          partial = bytes;
+          continue;
+        }
+        const start = position > 0 ? newline + 1 : 0;
+        partial = bytes.slice(0, start);
+        
+        for (const line of bytes.slice(start).toString('utf8').split('\n').reverse()) {
+          const entry = this.parseLine(line);
+          if (entry) yield entry;
+        }
+      }
+    } finally {
+      await file.close();
+    }
+  }
+  
+  parseLine(line) {
+    if (!line) return null;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      logger.warn('Skipping unreadable audit line', { filePath: this.filePath });
+      return null;
+    }
+  }
+  
+  async query(filters = {}) {
+    const { since, limit = 100 } = filters;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const entries = [];
+    
+    if (limit <= 0) return entries;
+    
+    for await (const entry of this.entriesFromEnd()) {
+      // Entries are appended as they happen, so everything before this one is older still
+      if (sinceTime !== null && new Date(entry.at).getTime() < sinceTime) break;
+      if (!entryMatches(entry, filters)) continue;
+      
+      entries.push(entry);
+      if (entries.length >= limit) break;
+    }
+    
+    return entries;
+  }
+}
+
+// Build a store from AUDIT_STORE ("memory" or "file")
+function createAuditStore({ type = 'memory', filePath, maxEntries } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryAuditStore({ maxEntries });
+    case 'file':
+      if (!filePath) throw new Error('AUDIT_FILE must be set when AUDIT_STORE=file');
+      return new FileAuditStore(filePath);
+    default:
+      throw new Error(`Unknown AUDIT_STORE "${type}". Use memory or file`);
+  }
+}
+
+module.exports = {
+  MemoryAuditStore,
+  FileAuditStore,
+  createAuditStore,
+  filterEntries
+};
@@ -0,0 +1,83 @@
+// Bearer token authentication for operational routes, and a session cookie for the
+// admin page so the token stays out of URLs once a browser has signed in
+
+const crypto = require('crypto');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a), 'utf8');
+  const bufB = Buffer.from(String(b), 'utf8');
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Express middleware accepting "Authorization: Bearer <token>" or ?token=<token>.
+// With no token configured the route is disabled
+function requireBearerToken(token, routeName) {
+  return (req, res, next) => {
+    if (!token) {
+      res.status(404).send(`${routeName} is disabled`);
+      return;
+    }
+    
+    const header = req.get('Authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+    
+    if (!provided || !safeEqual(provided, token)) {
+      res.status(401).send('Unauthorized');
+      return;
+    }
+    
+    next();
+  };
+}
+
+const SESSION_COOKIE = 'teamup_admin_session';
+const SESSION_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+// The cookie holds a digest of the token, never the token itself
+const sessionValue = (token) => crypto.createHmac('sha256', String(token)).update('admin-session').digest('hex');
+
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Like requireBearerToken, for pages used from a browser. Requests carrying the session
+// cookie are let through. A GET with a valid ?token= sets the cookie and is redirected to
+// the same page without the token, so it doesn't stay in the address bar, history or
+// any link the page generates
+function requireSession(token, routeName) {
+  const bearer = requireBearerToken(token, routeName);
+  
+  return (req, res, next) => {
+    const cookie = token ? readCookie(req, SESSION_COOKIE) : null;
+    if (cookie && req.query.token === undefined && safeEqual(cookie, sessionValue(token))) {
+      next();
+      return;
+    }
+    
+    bearer(req, res, () => {
+      if (req.method !== 'GET' || req.query.token === undefined) {
+        next();
+        return;
+      }
+      
+      const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionValue(token)}; Path=/; Max-Age=${SESSION_MAX_AGE_SECONDS}; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`);
+      
+      // Relative, like the page's own links, so a path prefix in front of the app still works
+      const query = new URLSearchParams(req.query);
+      query.delete('token');
+      const page = req.path.split('/').pop() || '.';
+      res.redirect(303, `${page}${query.toString() ? `?${query}` : ''}`);
+    });
+  };
+}
+
+module.exports = {
+  requireBearerToken,
+  requireSession
+};
@@ -0,0 +1,104 @@
+// Check a calendar's mapping config against the live calendar
+//
+// Fetches the sub-calendars and custom field definitions from Teamup and confirms that
+// every mapped sub-calendar exists and that every mapping's custom field can hold the
+// link HTML. Sub-calendars no mapping covers are listed by name. Run at startup (unless
+// CALENDAR_CHECK=false) and by `node cli.js check`, which can also write a starter config.
+
+// Teamup stores HTML in multi-line text fields. Single-line text and choice fields
+// would show the markup (or reject the value)
+function fieldProblem(definition) {
+  if (!definition) return 'does not exist';
+  if (definition.active === false) return 'is disabled';
+  if (definition.type !== 'text') return `is a ${definition.type} field, not a text field`;
+  if (definition.type_data && definition.type_data.multiline === false) return 'is a single-line text field, which can\'t hold the link HTML';
+  return null;
+}
+
+// Teamup names are plain strings, or objects keyed by language
+const displayName = (name) => {
+  if (!name || typeof name === 'string') return name || '';
+  return name.en || Object.values(name)[0] || '';
+};
+
+const mappingLabel = (mapping, index) => `mappings[${index}]${mapping.name ? ` (${mapping.name})` : ''}`;
+
+// Compare a validated config with the calendar behind `client`.
+// Returns { subcalendars, fields, errors, warnings, unmapped: [{ id, name }] }
+async function checkCalendar({ client, config }) {
+  const [subcalendars, definitions] = await Promise.all([client.listSubcalendars(), client.listFieldDefinitions()]);
+  const byId = new Map(subcalendars.map(subcalendar => [String(subcalendar.id), subcalendar]));
+  const fields = new Map(definitions.map(definition => [String(definition.id), definition]));
+  const errors = [];
+  const warnings = [];
+  
+  config.mappings.forEach((mapping, index) => {
+    mapping.subcalendarIds.forEach(id => {
+      const subcalendar = byId.get(id);
+      if (!subcalendar) {
+        errors.push(`${mappingLabel(mapping, index)}: sub-calendar ${id} does not exist in calendar ${client.calendarKey}`);
+      } else if (subcalendar.active === false) {
+        warnings.push(`${mappingLabel(mapping, index)}: sub-calendar ${id} (${subcalendar.name}) is inactive`);
+      }
+    });
+  });
+  
+  const fieldNames = Array.from(new Set(config.mappings.map(mapping => mapping.customFieldName)));
+  fieldNames.forEach(fieldName => {
+    const problem = fieldProblem(fields.get(fieldName));
+    if (problem) errors.push(`Custom field "${fieldName}" ${problem}`);
+  });
+  
+  const unmapped = subcalendars
+    .filter(subcalendar => subcalendar.active !== false && !config.managedSubcalendarIds.has(String(subcalendar.id)))
+    .map(subcalendar => ({ id: String(subcalendar.id), name: subcalendar.name }));
+  
+  return { subcalendars, fields: definitions, errors, warnings, unmapped };
+}
+
+// A mapping config to start from: one static mapping per active sub-calendar, with a
+// placeholder meeting to fill in and the first HTML-capable custom field
+function starterConfig(subcalendars, definitions) {
+  const field = definitions.find(definition => !fieldProblem(definition));
+  
+  return {
+    customFieldName: field ? String(field.id) : 'zoom_link2',
+    mappings: subcalendars
+      .filter(subcalendar => subcalendar.active !== false)
+      .map(subcalendar => ({
+        subcalendarId: String(subcalendar.id),
+        name: subcalendar.name,
+        meeting: { url: 'https://zoom.us/j/REPLACE_ME', meetingId: '', passcode: '' }
+      }))
+  };
+}
+
+// Human-readable report for the CLI
+function formatCheckReport(report) {
+  const lines = [`Calendar ${report.calendar}: ${report.subcalendars.length} sub-calendar(s)`];
+  
+  report.errors.forEach(error => lines.push(`  ❌ ${error}`));
+  report.warnings.forEach(warning => lines.push(`  ⚠️  ${warning}`));
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    lines.push('  ✅ Every mapped sub-calendar exists and the custom field can hold the link');
+  }
+  
+  if (report.unmapped.length > 0) {
+    lines.push('  Sub-calendars without a mapping:');
+    report.unmapped.forEach(subcalendar => lines.push(`    ${subcalendar.id}  ${subcalendar.name}`));
+  }
+  
+  const htmlFields = report.fields.filter(definition => definition.type !== 'builtin' && !fieldProblem(definition));
+  if (htmlFields.length > 0) {
+    lines.push(`  Custom fields that can hold the link: ${htmlFields.map(definition => `${definition.id} (${displayName(definition.name)})`).join(', ')}`);
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  checkCalendar,
+  starterConfig,
+  formatCheckReport,
+  fieldProblem
+};
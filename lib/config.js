@@ -0,0 +1,376 @@
+// Sub-calendar → Zoom link mapping configuration
+// Loaded at startup from a JSON/YAML file or a base64-encoded env var
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DEFAULT_TEMPLATE, parseTemplate } = require('./template');
+const { DEFAULT_STRATEGIES, isKnownStrategy } = require('./update-strategies');
+const { RECURRENCE_SCOPES, isRecurrenceScope } = require('./recurrence');
+const { compileMatch } = require('./rules');
+const { SUBCALENDAR_POLICIES, DEFAULT_SUBCALENDAR_POLICY, isSubcalendarPolicy } = require('./subcalendar-policy');
+const { PROVIDER_TYPES, isProviderType } = require('./meeting-providers');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'zoom-links.json');
+const DEFAULT_CUSTOM_FIELD_NAME = 'zoom_link2';
+
+// Thrown when the mapping config is missing or invalid. Carries every problem found
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Parse JSON or YAML text. js-yaml rejects duplicate keys, which JSON.parse silently drops
+const parseConfigText = (text, source) => {
+  try {
+    return yaml.load(text, { filename: source });
+  } catch (error) {
+    throw new ConfigError(`Could not parse mapping config from ${source}`, [error.message]);
+  }
+};
+
+const isValidSubcalendarId = (id) => /^[1-9]\d*$/.test(String(id));
+
+const isValidFieldName = (name) => typeof name === 'string' && /^[a-z0-9_]+$/i.test(name);
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number';
+
+// Validate the structured meeting fields of a mapping
+const validateMeeting = (meeting, label, errors) => {
+  if (!meeting || typeof meeting !== 'object' || Array.isArray(meeting)) {
+    errors.push(`${label}: meeting must be an object with at least a url`);
+    return null;
+  }
+  
+  if (!isHttpUrl(meeting.url)) {
+    errors.push(`${label}: meeting.url "${meeting.url}" is not a valid http(s) URL`);
+  }
+  
+  ['meetingId', 'passcode', 'oneTap'].forEach(field => {
+    if (meeting[field] !== undefined && !isScalar(meeting[field])) {
+      errors.push(`${label}: meeting.${field} must be a string`);
+    }
+  });
+  
+  const dialIn = meeting.dialIn === undefined ? [] : [].concat(meeting.dialIn);
+  if (!dialIn.every(isScalar)) {
+    errors.push(`${label}: meeting.dialIn must be a string or a list of strings`);
+  }
+  
+  return {
+    url: meeting.url,
+    meetingId: meeting.meetingId,
+    passcode: meeting.passcode,
+    dialIn,
+    oneTap: meeting.oneTap
+  };
+};
+
+// Validate a mapping's meeting provider: a type name, or { type, ...options } to pass
+// provider options. Without one the mapping's own meeting is used ("static")
+const validateProvider = (provider, label, errors) => {
+  if (provider === undefined) return { type: 'static', options: {} };
+  
+  const isObject = provider && typeof provider === 'object' && !Array.isArray(provider);
+  const { type, ...options } = isObject ? provider : { type: provider };
+  
+  if (!isProviderType(type)) {
+    errors.push(`${label}: provider "${type}" must be one of ${PROVIDER_TYPES.join(', ')}`);
+    return { type: 'static', options: {} };
+  }
+  
+  return { type, options };
+};
+
+// Validate named templates. "default" replaces the built-in template
+const validateTemplates = (templates, errors) => {
+  const validated = { default: DEFAULT_TEMPLATE };
+  
+  if (templates === undefined) return validated;
+  
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    errors.push('"templates" must be an object of name → template');
+    return validated;
+  }
+  
+  Object.keys(templates).forEach(name => {
+    try {
+      parseTemplate(templates[name]);
+      validated[name] = templates[name];
+    } catch (error) {
+      errors.push(`templates.${name}: ${error.message}`);
+    }
+  });
+  
+  return validated;
+};
+
+// Validate an ordered list of recurring-update strategy names
+const validateStrategies = (strategies, label, errors) => {
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    errors.push(`${label} must be a non-empty list of strategy names`);
+    return DEFAULT_STRATEGIES;
+  }
+  
+  strategies.filter(name => !isKnownStrategy(name)).forEach(name => {
+    errors.push(`${label}: unknown strategy "${name}"`);
+  });
+  
+  return strategies;
+};
+
+// Validate a raw config object and return the normalised config
+function validateConfig(raw, source = 'config') {
+  const errors = [];
+  
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError(`Invalid mapping config in ${source}`, ['Top level must be an object with a "mappings" list']);
+  }
+  
+  const customFieldName = raw.customFieldName === undefined ? DEFAULT_CUSTOM_FIELD_NAME : raw.customFieldName;
+  if (!isValidFieldName(customFieldName)) {
+    errors.push(`customFieldName "${customFieldName}" must contain only letters, digits and underscores`);
+  }
+  
+  const templates = validateTemplates(raw.templates, errors);
+  const recurrenceScope = raw.recurrenceScope === undefined ? null : raw.recurrenceScope;
+  if (recurrenceScope !== null && !isRecurrenceScope(recurrenceScope)) {
+    errors.push(`recurrenceScope "${recurrenceScope}" must be one of ${RECURRENCE_SCOPES.join(', ')}`);
+  }
+  
+  const subcalendarPolicy = raw.subcalendarPolicy === undefined ? DEFAULT_SUBCALENDAR_POLICY : raw.subcalendarPolicy;
+  if (!isSubcalendarPolicy(subcalendarPolicy)) {
+    errors.push(`subcalendarPolicy "${subcalendarPolicy}" must be one of ${SUBCALENDAR_POLICIES.join(', ')}`);
+  }
+  
+  const strategies = raw.strategies === undefined
+    ? DEFAULT_STRATEGIES
+    : validateStrategies(raw.strategies, 'strategies', errors);
+  
+  if (!Array.isArray(raw.mappings)) {
+    errors.push('"mappings" must be a list');
+  }
+  
+  const mappings = [];
+  // "<subcalendarId>@<priority>" → label, to catch rules that would tie
+  const claimed = new Map();
+  
+  (Array.isArray(raw.mappings) ? raw.mappings : []).forEach((entry, index) => {
+    const label = `mappings[${index}]`;
+    
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    
+    // Accept either subcalendarId or a subcalendarIds list
+    const rawIds = entry.subcalendarIds !== undefined ? [].concat(entry.subcalendarIds) : [entry.subcalendarId];
+    const ids = rawIds.map(id => (id === undefined || id === null ? '' : String(id).trim()));
+    
+    if (ids.length === 0) {
+      errors.push(`${label}: subcalendarIds must not be empty`);
+    }
+    
+    const priority = entry.priority === undefined ? 0 : entry.priority;
+    if (typeof priority !== 'number' || !isFinite(priority)) {
+      errors.push(`${label}: priority must be a number`);
+    }
+    
+    ids.forEach(id => {
+      if (!isValidSubcalendarId(id)) {
+        errors.push(`${label}: subcalendarId "${id}" is not a numeric Teamup sub-calendar ID`);
+        return;
+      }
+      
+      const key = `${id}@${priority}`;
+      if (claimed.has(key)) {
+        errors.push(`${label}: duplicate subcalendarId ${id} at priority ${priority} (also in ${claimed.get(key)}). Give one of them a different priority`);
+      } else {
+        claimed.set(key, label);
+      }
+    });
+    
+    const match = compileMatch(entry.match, `${label}.match`, errors);
+    
+    const provider = validateProvider(entry.provider, label, errors);
+    
+    // Providers other than static create the meeting, so the mapping has none of its own
+    let meeting = null;
+    if (provider.type === 'static') {
+      meeting = validateMeeting(entry.meeting, label, errors);
+    } else if (entry.meeting !== undefined) {
+      errors.push(`${label}: meeting is only used with the static provider, not ${provider.type}`);
+    }
+    
+    const templateName = entry.template || 'default';
+    if (!Object.prototype.hasOwnProperty.call(templates, templateName)) {
+      errors.push(`${label}: unknown template "${templateName}"`);
+    }
+    
+    if (entry.customFieldName !== undefined && !isValidFieldName(entry.customFieldName)) {
+      errors.push(`${label}: customFieldName "${entry.customFieldName}" must contain only letters, digits and underscores`);
+    }
+    
+    if (entry.recurrenceScope !== undefined && !isRecurrenceScope(entry.recurrenceScope)) {
+      errors.push(`${label}: recurrenceScope "${entry.recurrenceScope}" must be one of ${RECURRENCE_SCOPES.join(', ')}`);
+    }
+    
+    if (entry.subcalendarPolicy !== undefined && !isSubcalendarPolicy(entry.subcalendarPolicy)) {
+      errors.push(`${label}: subcalendarPolicy "${entry.subcalendarPolicy}" must be one of ${SUBCALENDAR_POLICIES.join(', ')}`);
+    }
+    
+    const mappingStrategies = entry.strategies === undefined
+      ? strategies
+      : validateStrategies(entry.strategies, `${label}.strategies`, errors);
+    
+    mappings.push({
+      subcalendarIds: ids,
+      match,
+      priority,
+      name: entry.name || '',
+      provider,
+      meeting,
+      template: templates[templateName],
+      strategies: mappingStrategies,
+      recurrenceScope: entry.recurrenceScope === undefined ? recurrenceScope : entry.recurrenceScope,
+      subcalendarPolicy: entry.subcalendarPolicy === undefined ? subcalendarPolicy : entry.subcalendarPolicy,
+      customFieldName: entry.customFieldName || customFieldName
+    });
+  });
+  
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid mapping config in ${source}`, errors);
+  }
+  
+  // Every sub-calendar some mapping manages
+  const managedSubcalendarIds = new Set(mappings.flatMap(mapping => mapping.subcalendarIds));
+  
+  return { customFieldName, strategies, recurrenceScope, subcalendarPolicy, mappings, managedSubcalendarIds };
+}
+
+// Read the raw config object. ZOOM_LINKS_CONFIG_BASE64 wins over ZOOM_LINKS_CONFIG_FILE
+function readRawConfig(env) {
+  if (env.ZOOM_LINKS_CONFIG_BASE64) {
+    const text = Buffer.from(env.ZOOM_LINKS_CONFIG_BASE64, 'base64').toString('utf8');
+    return { raw: parseConfigText(text, 'ZOOM_LINKS_CONFIG_BASE64'), source: 'ZOOM_LINKS_CONFIG_BASE64' };
+  }
+  
+  const file = env.ZOOM_LINKS_CONFIG_FILE
+    ? path.resolve(env.ZOOM_LINKS_CONFIG_FILE)
+    : DEFAULT_CONFIG_FILE;
+  
+  if (!fs.existsSync(file)) {
+    // zoom-links.json is git-ignored, so a deployment built from the repository lacks it
+    throw new ConfigError(`Mapping config not found at ${file}. Set ZOOM_LINKS_CONFIG_FILE or ZOOM_LINKS_CONFIG_BASE64 (deployments built from git don't include the git-ignored zoom-links.json)`);
+  }
+  
+  return { raw: parseConfigText(fs.readFileSync(file, 'utf8'), file), source: file };
+}
+
+// Load the mapping config of a single-calendar deployment
+function loadConfig(env = process.env) {
+  const { raw, source } = readRawConfig(env);
+  return validateConfig(raw, source);
+}
+
+// A calendar's secret, given inline ("apiKey") or as the name of an env var ("apiKeyEnv")
+const resolveSecret = (entry, name, label, env, errors) => {
+  const envName = entry[`${name}Env`];
+  
+  if (entry[name] !== undefined && envName !== undefined) {
+    errors.push(`${label}: set ${name} or ${name}Env, not both`);
+    return '';
+  }
+  
+  if (envName !== undefined) {
+    if (!env[envName]) errors.push(`${label}: ${name}Env names ${envName}, which is not set`);
+    return env[envName] || '';
+  }
+  
+  return entry[name] === undefined ? '' : String(entry[name]);
+};
+
+// Load every calendar this deployment serves. Returns [{ calendarKey, apiKey, webhookSecret, config }].
+//
+// A config with a "calendars" object has one entry per Teamup calendar key, each with its own
+// apiKey/apiKeyEnv, webhookSecret/webhookSecretEnv and mapping. Top-level "templates" are shared.
+// Without "calendars" the top-level mapping serves CALENDAR_ID with TEAMUP_API_KEY and
+// TEAMUP_WEBHOOK_SECRET, as before
+function loadCalendars(env = process.env) {
+  const { raw, source } = readRawConfig(env);
+  
+  if (!raw || typeof raw !== 'object' || raw.calendars === undefined) {
+    return [{
+      calendarKey: env.CALENDAR_ID || '',
+      apiKey: env.TEAMUP_API_KEY || '',
+      webhookSecret: env.TEAMUP_WEBHOOK_SECRET || '',
+      config: validateConfig(raw, source)
+    }];
+  }
+  
+  const errors = [];
+  const { calendars } = raw;
+  
+  if (raw.mappings !== undefined) {
+    errors.push('Use either top-level "mappings" or "calendars", not both');
+  }
+  
+  if (!calendars || typeof calendars !== 'object' || Array.isArray(calendars) || Object.keys(calendars).length === 0) {
+    throw new ConfigError(`Invalid mapping config in ${source}`, ['"calendars" must be an object of calendar key → calendar config']);
+  }
+  
+  const loaded = Object.keys(calendars).map(calendarKey => {
+    const label = `calendars.${calendarKey}`;
+    const entry = calendars[calendarKey];
+    
+    if (!/^[a-z0-9]+$/i.test(calendarKey)) {
+      errors.push(`${label}: calendar key must contain only letters and digits`);
+    }
+    
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    
+    const apiKey = resolveSecret(entry, 'apiKey', label, env, errors);
+    if (entry.apiKey === undefined && entry.apiKeyEnv === undefined) {
+      errors.push(`${label}: apiKey or apiKeyEnv is required`);
+    }
+    const webhookSecret = resolveSecret(entry, 'webhookSecret', label, env, errors);
+    
+    try {
+      const templates = raw.templates || entry.templates ? { ...raw.templates, ...entry.templates } : undefined;
+      const config = validateConfig({ ...entry, templates }, `${source} (${label})`);
+      return { calendarKey, apiKey, webhookSecret, config };
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      error.errors.forEach(message => errors.push(`${label}: ${message}`));
+      return null;
+    }
+  });
+  
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid mapping config in ${source}`, errors);
+  }
+  
+  return loaded;
+}
+
+module.exports = {
+  ConfigError,
+  validateConfig,
+  loadConfig,
+  loadCalendars
+};
@@ -0,0 +1,133 @@
+// Stores for de-duplicating repeated webhook deliveries
+//
+// Every store implements:
+//   markSeen(key, ttlSeconds) → true the first time a key is seen within the window, false after
+//   forget(key)                → drop a key again, e.g. when its delivery could not be handled
+//
+// "memory" is the default. "file" survives restarts of a single instance and
+// "redis" works across instances with any ioredis-compatible client.
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+class MemoryDedupeStore {
+  constructor() {
+    this.entries = new Map();
+  }
+  
+  prune(now) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) this.entries.delete(key);
+    }
+  }
+  
+  async markSeen(key, ttlSeconds) {
+    const now = Date.now();
+    this.prune(now);
+    
+    if (this.entries.has(key)) return false;
+    
+    this.entries.set(key, now + ttlSeconds * 1000);
+    return true;
+  }
+  
+  async forget(key) {
+    return this.entries.delete(key);
+  }
+}
+
+// Keeps the same entries as the memory store, persisted to a JSON file
+class FileDedupeStore extends MemoryDedupeStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    
+    try {
+      if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        Object.keys(saved).forEach(key => this.entries.set(key, saved[key]));
+      }
+    } catch (error) {
+      logger.warn('Could not read dedupe file, starting empty', { filePath, error });
+    }
+  }
+  
+  async markSeen(key, ttlSeconds) {
+    const isNew = await super.markSeen(key, ttlSeconds);
+    
+    if (isNew) {
+      await fs.promises.writeFile(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    }
+    
+    return isNew;
+  }
+  
+  async forget(key) {
+    const existed = await super.forget(key);
+    
+    if (existed) {
+      await fs.promises.writeFile(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    }
+    
+    return existed;
+  }
+}
+
+// Uses SET NX EX so concurrent instances agree on who saw a key first
+class RedisDedupeStore {
+  constructor(client, prefix = 'teamup-webhook:seen:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+  
+  async markSeen(key, ttlSeconds) {
+    const result = await this.client.set(this.prefix + key, '1', 'EX', ttlSeconds, 'NX');
+    return result === 'OK';
+  }
+  
+  async forget(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+}
+
+// Build a store from DEDUPE_STORE ("memory", "file" or "redis")
+function createDedupeStore({ type = 'memory', filePath, redisUrl } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryDedupeStore();
+    case 'file':
+      if (!filePath) throw new Error('DEDUPE_FILE must be set when DEDUPE_STORE=file');
+      return new FileDedupeStore(filePath);
+    case 'redis': {
+      if (!redisUrl) throw new Error('REDIS_URL must be set when DEDUPE_STORE=redis');
+      // Optional dependency - only needed when the redis store is used
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('DEDUPE_STORE=redis needs the ioredis package - install it with npm install ioredis');
+      }
+      return new RedisDedupeStore(new Redis(redisUrl));
+    }
+    default:
+      throw new Error(`Unknown DEDUPE_STORE "${type}". Use memory, file or redis`);
+  }
+}
+
+// Key identifying one delivery of one dispatch item. The event version changes on
+// every real modification, so only redeliveries of the same change collide
+function dispatchKey(webhookData, dispatchItem) {
+  if (dispatchItem.id) return `dispatch:${dispatchItem.id}`;
+  
+  const event = dispatchItem.event || {};
+  return [webhookData.id, dispatchItem.trigger, event.id, event.version].join(':');
+}
+
+module.exports = {
+  MemoryDedupeStore,
+  FileDedupeStore,
+  RedisDedupeStore,
+  createDedupeStore,
+  dispatchKey
+};
@@ -0,0 +1,26 @@
+// Teamup client wrapper for dry-run (shadow) mode
+// Reads go to Teamup as usual; writes are recorded instead of sent
+
+// Returns a client that delegates everything to `client` except updateEvent.
+// Recorded writes are available as `.writes` ([{ method, eventId, payload }])
+function createDryRunClient(client) {
+  const dryRunClient = Object.create(client);
+  dryRunClient.writes = [];
+  
+  dryRunClient.updateEvent = async (eventId, payload) => {
+    dryRunClient.writes.push({
+      method: 'PUT',
+      eventId: String(eventId),
+      payload: JSON.parse(JSON.stringify(payload))
+    });
+    
+    // Pretend Teamup accepted the update unchanged
+    return { ...payload, id: eventId };
+  };
+  
+  return dryRunClient;
+}
+
+module.exports = {
+  createDryRunClient
+};
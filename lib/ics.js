@@ -0,0 +1,534 @@
+// iCalendar (RFC 5545) feeds of Teamup events with their meeting join info
+//
+// Teamup lists a recurring event as separate occurrences ("<seriesId>-rid-<start>").
+// They are folded back into one VEVENT carrying the series' RRULE, plus an override
+// (RECURRENCE-ID) for each occurrence that was moved or retitled and an EXDATE for each
+// one the rule generates but Teamup no longer lists. Timed events keep their time zone
+// (TZID with a generated VTIMEZONE) so recurrences follow daylight saving the way
+// Teamup shows them.
+
+const { parseEventId } = require('./recurrence');
+
+const PRODID = '-//teamup-webhook-handler//Meeting feed//EN';
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines are folded at 75 octets, never inside a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+}
+
+// Readable text from the HTML of a custom field or notes
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>\n?/gi, '\n')
+    .replace(/<\/(p|div|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const isTimeZone = (tz) => {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock fields of a moment in a time zone
+function zonedParts(date, tz) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  });
+  return parts;
+}
+
+// Minutes the zone is ahead of UTC at this moment
+function offsetMinutes(date, tz) {
+  const parts = zonedParts(date, tz);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+const formatOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+
+const formatDate = (parts) => `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}`;
+
+const formatLocal = (parts) => `${formatDate(parts)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// DTSTART/DTEND/RECURRENCE-ID: a date for all-day events, local time with TZID when the
+// zone is known, UTC otherwise
+function dateProperty(name, date, { tz, allDay }) {
+  if (allDay) return `${name};VALUE=DATE:${formatDate(zonedParts(date, isTimeZone(tz) ? tz : 'UTC'))}`;
+  if (isTimeZone(tz)) return `${name};TZID=${tz}:${formatLocal(zonedParts(date, tz))}`;
+  return `${name}:${formatUtc(date)}`;
+}
+
+// Offset changes during a year as [{ at, from, to }], found a day at a time and then
+// narrowed down to the minute
+function transitionsIn(tz, year) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  
+  for (let time = Date.UTC(year, 0, 1); time < end; time += DAY) {
+    const from = offsetMinutes(new Date(time), tz);
+    const to = offsetMinutes(new Date(time + DAY), tz);
+    if (from === to) continue;
+    
+    let low = time;
+    let high = time + DAY;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetMinutes(new Date(middle), tz) === from) low = middle;
+      else high = middle;
+    }
+    transitions.push({ at: new Date(high), from, to });
+  }
+  
+  return transitions;
+}
+
+// "2SU" for the second Sunday of the month, "-1SU" for the last
+function weekdayRule(parts) {
+  const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+  const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+  return parts.day + 7 > daysInMonth ? `-1${weekday}` : `${Math.ceil(parts.day / 7)}${weekday}`;
+}
+
+// A VTIMEZONE for the zone, with yearly rules taken from its transitions in `year`
+function vtimezone(tz, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+  const transitions = transitionsIn(tz, year);
+  
+  if (transitions.length === 0) {
+    const offset = formatOffset(offsetMinutes(new Date(Date.UTC(year, 0, 1)), tz));
+    lines.push('BEGIN:STANDARD', `DTSTART:${year}0101T000000`, `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  } else {
+    transitions.forEach(({ at, from, to }) => {
+      // The transition's wall-clock time in the offset it changes from, as RFC 5545 expects
+      const local = zonedParts(new Date(at.getTime() + from * 60000), 'UTC');
+      
+      const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${formatLocal(local)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${local.month};BYDAY=${weekdayRule(local)}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `END:${kind}`
+      );
+    });
+  }
+  
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+// The original start of an occurrence: the timestamp in its ID, or ristart_dt
+function originalStart(event) {
+  const { occurrenceTimestamp } = parseEventId(event.id);
+  if (occurrenceTimestamp !== null) return new Date(occurrenceTimestamp * 1000);
+  return parseDate(event.ristart_dt) || parseDate(event.start_dt);
+}
+
+// The series an event belongs to, or null for a one-off event
+function seriesIdOf(event) {
+  if (event.series_id) return String(event.series_id);
+  const { isInstance, seriesId } = parseEventId(event.id);
+  if (isInstance) return String(seriesId);
+  return event.rrule ? String(event.id) : null;
+}
+
+const durationOf = (event) => {
+  const start = parseDate(event.start_dt);
+  const end = parseDate(event.end_dt);
+  return start && end ? end - start : 0;
+};
+
+// DTEND of an all-day event is the day after its last day. Teamup ends them at 23:59
+// (or midnight), so the last day is the one a minute before the end
+function allDayEnd(end, tz) {
+  const last = zonedParts(new Date(end.getTime() - 60000), isTimeZone(tz) ? tz : 'UTC');
+  const next = new Date(Date.UTC(last.year, last.month - 1, last.day + 1));
+  return `DTEND;VALUE=DATE:${formatDate({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() })}`;
+}
+
+// RRULE expansion, on wall-clock dates so a series keeps its local time across daylight
+// saving. Covers what Teamup's repeat options produce: FREQ=DAILY, WEEKLY, MONTHLY or
+// YEARLY with INTERVAL, COUNT, UNTIL, WKST, BYMONTH, BYMONTHDAY and BYDAY (with an ordinal
+// only for MONTHLY, or YEARLY with BYMONTH). Other rules aren't expanded
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST', 'BYMONTH', 'BYMONTHDAY', 'BYDAY'];
+// Periods walked at most for one rule - 30 years of a daily series
+const MAX_PERIODS = 11000;
+
+// Days since 1970-01-01 of a wall-clock date, and back
+const dayNumber = (parts) => Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day) / DAY);
+const dayParts = (number) => {
+  const date = new Date(number * DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+const weekdayOf = (number) => new Date(number * DAY).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// The moment a wall-clock time happens in a zone. Times skipped by a daylight saving
+// change land an hour off, which is close enough to place them in a window
+function localInstant(parts, zone) {
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0);
+  return new Date(asUtc - offsetMinutes(new Date(asUtc), zone) * 60000);
+}
+
+// { freq, interval, count, until, weekStart, months, monthDays, weekdays } with weekdays
+// as [{ ordinal, weekday }], or null when the rule uses a part we can't expand
+function parseRule(rrule) {
+  const rule = {};
+  for (const part of String(rrule || '').replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=').map(text => text.trim().toUpperCase());
+    if (!RULE_PARTS.includes(key)) return null;
+    rule[key] = value;
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return null;
+  
+  const numbers = (value) => (value ? value.split(',').map(Number) : null);
+  const parsed = {
+    freq: rule.FREQ,
+    interval: Number(rule.INTERVAL || 1),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL || null,
+    weekStart: WEEKDAYS.indexOf(rule.WKST || 'MO'),
+    months: numbers(rule.BYMONTH),
+    monthDays: numbers(rule.BYMONTHDAY),
+    weekdays: rule.BYDAY ? rule.BYDAY.split(',').map(entry => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+      return match && { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+    }) : null
+  };
+  
+  const valid = Number.isInteger(parsed.interval) && parsed.interval > 0
+    && (parsed.count === null || (Number.isInteger(parsed.count) && parsed.count > 0))
+    && parsed.weekStart >= 0
+    && (!parsed.months || parsed.months.every(month => Number.isInteger(month) && month >= 1 && month <= 12))
+    && (!parsed.monthDays || parsed.monthDays.every(day => Number.isInteger(day) && day !== 0 && Math.abs(day) <= 31))
+    && (!parsed.weekdays || parsed.weekdays.every(Boolean));
+  if (!valid) return null;
+  
+  // Ordinal weekdays count within the month; YEARLY without BYMONTH would count within the year
+  const ordinals = parsed.weekdays && parsed.weekdays.some(entry => entry.ordinal !== null);
+  if (ordinals && !(parsed.freq === 'MONTHLY' || (parsed.freq === 'YEARLY' && parsed.months))) return null;
+  if (parsed.freq === 'YEARLY' && parsed.weekdays && !parsed.months) return null;
+  if (parsed.freq === 'WEEKLY' && parsed.monthDays) return null;
+  
+  return parsed;
+}
+
+// Day numbers of one month matching BYMONTHDAY and BYDAY, or the series' own day of the month
+function monthDayNumbers(year, month, rule, startDay) {
+  const first = dayNumber({ year, month, day: 1 });
+  const length = daysInMonth(year, month);
+  let days = null;
+  
+  if (rule.monthDays) {
+    days = rule.monthDays.map(day => (day > 0 ? day : length + day + 1)).filter(day => day >= 1 && day <= length);
+  }
+  if (rule.weekdays) {
+    const matching = [];
+    rule.weekdays.forEach(({ ordinal, weekday }) => {
+      const all = [];
+      for (let day = 1; day <= length; day++) {
+        if (weekdayOf(first + day - 1) === weekday) all.push(day);
+      }
+      if (ordinal === null) {
+        matching.push(...all);
+      } else {
+        const day = all[ordinal > 0 ? ordinal - 1 : all.length + ordinal];
+        if (day) matching.push(day);
+      }
+    });
+    days = days ? days.filter(day => matching.includes(day)) : matching;
+  }
+  if (!days) days = startDay <= length ? [startDay] : [];
+  
+  return Array.from(new Set(days)).sort((a, b) => a - b).map(day => first + day - 1);
+}
+
+// The first day number of each period, and the day numbers it generates
+function rulePeriod(rule, startNumber, start, index) {
+  const step = index * rule.interval;
+  
+  if (rule.freq === 'DAILY') {
+    const day = startNumber + step;
+    const parts = dayParts(day);
+    const matches = (!rule.weekdays || rule.weekdays.some(entry => entry.weekday === weekdayOf(day)))
+      && (!rule.monthDays || monthDayNumbers(parts.year, parts.month, { monthDays: rule.monthDays }, parts.day).includes(day));
+    return { first: day, days: matches ? [day] : [] };
+  }
+  if (rule.freq === 'WEEKLY') {
+    const weekFirst = startNumber - ((weekdayOf(startNumber) - rule.weekStart + 7) % 7) + step * 7;
+    const weekdays = rule.weekdays ? rule.weekdays.map(entry => entry.weekday) : [weekdayOf(startNumber)];
+    const days = [];
+    for (let day = weekFirst; day < weekFirst + 7; day++) {
+      if (weekdays.includes(weekdayOf(day))) days.push(day);
+    }
+    return { first: weekFirst, days };
+  }
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = start.year * 12 + start.month - 1 + step;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex % 12 + 1;
+    return { first: dayNumber({ year, month, day: 1 }), days: monthDayNumbers(year, month, rule, start.day) };
+  }
+  
+  const year = start.year + step;
+  const months = rule.months || [start.month];
+  const days = [];
+  months.slice().sort((a, b) => a - b).forEach(month => days.push(...monthDayNumbers(year, month, rule, start.day)));
+  return { first: dayNumber({ year, month: 1, day: 1 }), days };
+}
+
+// Whether an UNTIL value ends the series before this occurrence
+function isAfterUntil(until, parts, zone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(until);
+  if (!match) return false;
+  
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  if (match[4] === undefined) return dayNumber(parts) > dayNumber({ year, month, day });
+  
+  const untilAt = match[7]
+    ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+    : localInstant({ year, month, day, hour, minute, second }, zone);
+  return localInstant(parts, zone) > untilAt;
+}
+
+// Wall-clock dates and times (zonedParts shape) a series' RRULE generates from its start
+// up to `end`, or null when the rule isn't one we can expand
+function ruleOccurrences(rrule, seriesStart, zone, end) {
+  const rule = parseRule(rrule);
+  if (!rule) return null;
+  
+  const start = zonedParts(seriesStart, zone);
+  const startNumber = dayNumber(start);
+  const endNumber = dayNumber(zonedParts(end, zone));
+  const at = (number) => ({ ...start, ...dayParts(number) });
+  
+  // DTSTART is always the first occurrence, and counts towards COUNT
+  const occurrences = [at(startNumber)];
+  
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    const period = rulePeriod(rule, startNumber, start, index);
+    if (period.first > endNumber) break;
+    
+    for (const number of period.days) {
+      if (number <= startNumber) continue;
+      if (number > endNumber) return occurrences;
+      if (rule.months && !rule.months.includes(dayParts(number).month)) continue;
+      if (rule.count !== null && occurrences.length >= rule.count) return occurrences;
+      
+      const parts = at(number);
+      if (rule.until && isAfterUntil(rule.until, parts, zone)) return occurrences;
+      occurrences.push(parts);
+    }
+  }
+  
+  return occurrences;
+}
+
+// EXDATE for wall-clock dates of a series, in the same form as its DTSTART
+function exdateProperty(dates, { tz, allDay }) {
+  if (allDay) return `EXDATE;VALUE=DATE:${dates.map(formatDate).join(',')}`;
+  if (isTimeZone(tz)) return `EXDATE;TZID=${tz}:${dates.map(formatLocal).join(',')}`;
+  return `EXDATE:${dates.map(parts => `${formatLocal(parts)}Z`).join(',')}`;
+}
+
+// Lines of one VEVENT. joinInfo is { url, text } or null
+function veventLines({ uid, event, start, duration, rrule = null, exdates = [], recurrenceId = null, joinInfo }) {
+  const options = { tz: event.tz, allDay: !!event.all_day };
+  const stamp = parseDate(event.update_dt) || parseDate(event.creation_dt) || start;
+  const end = new Date(start.getTime() + Math.max(duration, event.all_day ? 60000 : 0));
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${formatUtc(stamp)}`];
+  
+  if (recurrenceId) lines.push(dateProperty('RECURRENCE-ID', recurrenceId, options));
+  lines.push(dateProperty('DTSTART', start, options));
+  lines.push(event.all_day ? allDayEnd(end, event.tz) : dateProperty('DTEND', end, options));
+  if (rrule) lines.push(`RRULE:${rrule.replace(/^RRULE:/i, '')}`);
+  if (exdates.length > 0) lines.push(exdateProperty(exdates, options));
+  lines.push(`SUMMARY:${escapeText(event.title || '')}`);
+  
+  const description = [joinInfo && joinInfo.text, htmlToText(event.notes)].filter(Boolean).join('\n\n');
+  if (joinInfo && joinInfo.url) {
+    lines.push(`LOCATION:${escapeText(joinInfo.url)}`);
+    if (/^https?:\/\//i.test(joinInfo.url)) lines.push(`URL:${joinInfo.url}`);
+  } else if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+const singleLines = (event, { uidFor, joinInfoFor }) => veventLines({
+  uid: uidFor(event.id),
+  event,
+  start: parseDate(event.start_dt),
+  duration: durationOf(event),
+  joinInfo: joinInfoFor(event)
+});
+
+// Teamup's window edges follow the calendar's time zone, so a day at either end is left alone
+const isInsideWindow = (date, window) => date.getTime() > window.start.getTime() + DAY && date.getTime() < window.end.getTime() - DAY;
+
+// A series as one VEVENT with its RRULE, plus overrides for moved or retitled occurrences.
+// Occurrences the rule generates inside `window` that Teamup didn't list - deleted, or
+// moved off the sub-calendar - get an EXDATE. A rule we can't expand, or one that doesn't
+// generate every listed occurrence, is written as one VEVENT per listed occurrence instead
+function seriesLines(seriesId, occurrences, { uidFor, joinInfoFor, window }) {
+  occurrences.sort((a, b) => originalStart(a) - originalStart(b));
+  const unmoved = (event) => parseDate(event.start_dt).getTime() === originalStart(event).getTime();
+  const base = occurrences.find(unmoved) || occurrences[0];
+  const baseDuration = durationOf(base);
+  const seriesStart = parseDate(base.rsstart_dt) || originalStart(occurrences[0]);
+  const uid = uidFor(seriesId);
+  
+  let exdates = [];
+  if (window) {
+    const zone = isTimeZone(base.tz) ? base.tz : 'UTC';
+    // COUNT is counted from the real series start, which only rsstart_dt gives
+    const countable = !!base.rsstart_dt || !/(^|;)COUNT=/i.test(base.rrule);
+    // A couple of days past the window, so occurrences on its last day are covered in any zone
+    const generated = countable ? ruleOccurrences(base.rrule, seriesStart, zone, new Date(window.end.getTime() + 2 * DAY)) : null;
+    const listed = new Set(occurrences.map(event => formatDate(zonedParts(originalStart(event), zone))));
+    const generatedDates = new Set((generated || []).map(formatDate));
+    
+    if (!generated || Array.from(listed).some(date => !generatedDates.has(date))) {
+      return occurrences.flatMap(event => singleLines(event, { uidFor, joinInfoFor }));
+    }
+    exdates = generated.filter(parts => !listed.has(formatDate(parts)) && isInsideWindow(localInstant(parts, zone), window));
+  }
+  
+  const lines = veventLines({ uid, event: base, start: seriesStart, duration: baseDuration, rrule: base.rrule, exdates, joinInfo: joinInfoFor(base) });
+  
+  occurrences
+    .filter(event => !unmoved(event) || durationOf(event) !== baseDuration || (event.title || '') !== (base.title || ''))
+    .forEach(event => {
+      lines.push(...veventLines({
+        uid,
+        event,
+        start: parseDate(event.start_dt),
+        duration: durationOf(event),
+        recurrenceId: originalStart(event),
+        joinInfo: joinInfoFor(event)
+      }));
+    });
+  
+  return lines;
+}
+
+// Build a VCALENDAR from Teamup events (as listed, occurrences expanded).
+// joinInfoFor(event) gives { url, text } for the event's meeting, or null. window is the
+// { start, end } the events were listed for; without it no EXDATEs are written
+function buildCalendar({ name, calendarKey, events, window = null, joinInfoFor = () => null }) {
+  const uidFor = (id) => `${id}@${calendarKey || 'teamup'}.teamup-webhook-handler`;
+  const usable = events.filter(event => parseDate(event.start_dt));
+  const series = new Map();
+  const blocks = [];
+  
+  usable.forEach(event => {
+    const seriesId = event.rrule ? seriesIdOf(event) : null;
+    if (!seriesId) {
+      blocks.push({ start: parseDate(event.start_dt), lines: singleLines(event, { uidFor, joinInfoFor }) });
+      return;
+    }
+    if (!series.has(seriesId)) series.set(seriesId, []);
+    series.get(seriesId).push(event);
+  });
+  
+  series.forEach((occurrences, seriesId) => {
+    const lines = seriesLines(seriesId, occurrences, { uidFor, joinInfoFor, window });
+    blocks.push({ start: originalStart(occurrences[0]), lines });
+  });
+  
+  // Stable order, so an unchanged feed keeps its ETag
+  blocks.sort((a, b) => a.start - b.start || a.lines[1].localeCompare(b.lines[1]));
+  
+  // One VTIMEZONE per zone used by a timed event, with the rules of its earliest year
+  const zoneYears = new Map();
+  usable.filter(event => !event.all_day && isTimeZone(event.tz)).forEach(event => {
+    const year = zonedParts(parseDate(event.rsstart_dt) || parseDate(event.start_dt), event.tz).year;
+    zoneYears.set(event.tz, Math.min(zoneYears.get(event.tz) || year, year));
+  });
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  Array.from(zoneYears.keys()).sort().forEach(tz => lines.push(...vtimezone(tz, zoneYears.get(tz))));
+  blocks.forEach(block => lines.push(...block.lines));
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine,
+  htmlToText,
+  vtimezone
+};
@@ -0,0 +1,347 @@
+// Job queue for webhook dispatch items
+//
+// With JOB_MODE=queue (the default outside serverless), POST /webhook stores each
+// dispatch item as a job and answers straight away. A worker in the same process picks
+// jobs up, retries failures with exponential backoff and moves jobs that keep failing
+// to a dead-letter list. On serverless platforms there is no worker: a scheduled request
+// to GET /jobs/run runs the due jobs instead.
+//
+// Backends: "memory" (default), "file", which persists the queue to a JSON file so
+// pending jobs survive a restart, or "redis", shared by every instance.
+//
+// Every change to the queue goes through backend.transaction(fn), which hands fn the
+// current { jobs, deadLetters } to modify. Transactions never overlap, and the redis
+// backend re-runs fn when another instance changed the queue in the meantime.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Runs fn once every earlier call on the same backend has finished
+function inTurn(backend, fn) {
+  const run = backend.turn.then(fn);
+  backend.turn = run.catch(() => {});
+  return run;
+}
+
+class MemoryQueueBackend {
+  constructor() {
+    this.jobs = [];
+    this.deadLetters = [];
+    this.turn = Promise.resolve();
+  }
+  
+  async load() {}
+  
+  async save() {}
+  
+  async read() {
+    return { jobs: this.jobs, deadLetters: this.deadLetters };
+  }
+  
+  transaction(fn) {
+    return inTurn(this, async () => {
+      const state = { jobs: this.jobs, deadLetters: this.deadLetters };
+      const result = await fn(state);
+      this.jobs = state.jobs;
+      this.deadLetters = state.deadLetters;
+      await this.save();
+      return result;
+    });
+  }
+}
+
+class FileQueueBackend extends MemoryQueueBackend {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+  }
+  
+  async load() {
+    if (!fs.existsSync(this.filePath)) return;
+    
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      this.jobs = saved.jobs || [];
+      this.deadLetters = saved.deadLetters || [];
+      
+      // Jobs that were running when we stopped are picked up again
+      this.jobs.forEach(job => {
+        if (job.status === 'running') job.status = 'pending';
+      });
+    } catch (error) {
+      logger.warn('Could not read queue file, starting empty', { filePath: this.filePath, error });
+    }
+  }
+  
+  async save() {
+    const state = JSON.stringify({ jobs: this.jobs, deadLetters: this.deadLetters });
+    await fs.promises.writeFile(this.filePath, state);
+  }
+}
+
+// Keeps the whole queue under one key. Each transaction WATCHes the key and is retried
+// when another instance wrote it between our read and our write
+class RedisQueueBackend {
+  constructor(client, key = 'teamup-webhook:jobs') {
+    this.client = client;
+    this.key = key;
+    this.turn = Promise.resolve();
+  }
+  
+  async load() {}
+  
+  async read() {
+    const saved = await this.client.get(this.key);
+    return saved ? JSON.parse(saved) : { jobs: [], deadLetters: [] };
+  }
+  
+  transaction(fn) {
+    return inTurn(this, async () => {
+      for (;;) {
+        await this.client.watch(this.key);
+        let state;
+        let result;
+        try {
+          state = await this.read();
+          result = await fn(state);
+        } catch (error) {
+          await this.client.unwatch();
+          throw error;
+        }
+        
+        // exec() resolves to null when the watched key changed
+        if (await this.client.multi().set(this.key, JSON.stringify(state)).exec()) return result;
+      }
+    });
+  }
+}
+
+function createQueueBackend({ type = 'memory', filePath, redisUrl } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryQueueBackend();
+    case 'file':
+      if (!filePath) throw new Error('JOB_QUEUE_FILE must be set when JOB_QUEUE=file');
+      return new FileQueueBackend(filePath);
+    case 'redis': {
+      if (!redisUrl) throw new Error('REDIS_URL must be set when JOB_QUEUE=redis');
+      // Optional dependency - only needed when the redis queue is used
+      let Redis;
+      try {
+        Redis = require('ioredis');
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('JOB_QUEUE=redis needs the ioredis package - install it with npm install ioredis');
+      }
+      return new RedisQueueBackend(new Redis(redisUrl));
+    }
+    default:
+      throw new Error(`Unknown JOB_QUEUE "${type}". Use memory, file or redis`);
+  }
+}
+
+class JobQueue {
+  // worker: false leaves running jobs to runDue(), for platforms that freeze the process
+  // between requests. A job still marked running after leaseMs (its instance was frozen
+  // or died) is picked up again
+  constructor({ backend, processor, maxAttempts = 3, retryDelayMs = 30000, maxDeadLetters = 100, worker = true, leaseMs = 600000 }) {
+    this.backend = backend;
+    this.processor = processor;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxDeadLetters = maxDeadLetters;
+    this.worker = worker;
+    this.leaseMs = leaseMs;
+    this.ready = this.backend.load();
+    this.working = null;
+    this.timer = null;
+  }
+  
+  // Store a job and wake the worker. Returns the job
+  async enqueue(payload) {
+    await this.ready;
+    
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      payload,
+      status: 'pending',
+      attempts: 0,
+      errors: [],
+      createdAt: new Date().toISOString(),
+      availableAt: Date.now()
+    };
+    
+    await this.backend.transaction(state => {
+      state.jobs.push(job);
+    });
+    this.schedule(0);
+    
+    return job;
+  }
+  
+  // Run the worker after delayMs, unless it's already due sooner
+  schedule(delayMs) {
+    if (!this.worker || this.working) return;
+    if (this.timer) {
+      if (this.timerDueAt <= Date.now() + delayMs) return;
+      clearTimeout(this.timer);
+    }
+    
+    this.timerDueAt = Date.now() + delayMs;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.work().catch(error => logger.error('Job worker crashed', { error }));
+    }, delayMs);
+    
+    // Don't keep the process alive just for queued retries
+    if (this.timer.unref) this.timer.unref();
+  }
+  
+  isDue(job, now) {
+    if (job.status === 'pending') return job.availableAt <= now;
+    return job.status === 'running' && job.startedAt <= now - this.leaseMs;
+  }
+  
+  // Mark the next due job as running and return it, or null
+  claimDueJob() {
+    return this.backend.transaction(state => {
+      const now = Date.now();
+      const job = state.jobs.find(queued => this.isDue(queued, now));
+      if (!job) return null;
+      
+      job.status = 'running';
+      job.attempts += 1;
+      job.startedAt = now;
+      return job;
+    });
+  }
+  
+  // Process every job that is due, then sleep until the next retry.
+  // Concurrent callers share the same run
+  work() {
+    if (!this.working) {
+      this.working = this.runDueJobs().finally(() => {
+        this.working = null;
+        this.scheduleNextRetry().catch(error => logger.error('Could not schedule the next retry', { error }));
+      });
+    }
+    return this.working;
+  }
+  
+  // Runs due jobs until none is left or, with until, no new job starts after that time.
+  // Returns how many ran
+  async runDueJobs(until = Infinity) {
+    await this.ready;
+    
+    let ran = 0;
+    let job;
+    while (Date.now() < until && (job = await this.claimDueJob())) {
+      await this.runJob(job);
+      ran++;
+    }
+    return ran;
+  }
+  
+  // Run the due jobs now, starting none after budgetMs (GET /jobs/run). Returns how many ran
+  runDue({ budgetMs = Infinity } = {}) {
+    return this.runDueJobs(Date.now() + budgetMs);
+  }
+  
+  async scheduleNextRetry() {
+    if (!this.worker) return;
+    
+    const { jobs } = await this.backend.read();
+    const pending = jobs.filter(job => job.status === 'pending');
+    if (pending.length > 0) {
+      const nextAt = Math.min(...pending.map(job => job.availableAt));
+      this.schedule(Math.max(0, nextAt - Date.now()));
+    }
+  }
+  
+  async runJob(job) {
+    let result;
+    let failure = null;
+    try {
+      result = await this.processor(job.payload, job);
+    } catch (error) {
+      failure = error;
+    }
+    
+    await this.backend.transaction(state => {
+      const stored = state.jobs.find(queued => queued.id === job.id);
+      // Gone already - its dead letter was re-run, or another instance took it over
+      if (!stored || stored.startedAt !== job.startedAt) return;
+      
+      if (!failure) {
+        stored.result = result;
+        state.jobs = state.jobs.filter(queued => queued.id !== job.id);
+        return;
+      }
+      
+      stored.errors.push({ at: new Date().toISOString(), message: failure.message });
+      
+      if (stored.attempts >= this.maxAttempts) {
+        logger.error('Job failed too many times, moving to dead letters', { jobId: job.id, attempts: stored.attempts, error: failure });
+        stored.status = 'dead';
+        stored.failedAt = new Date().toISOString();
+        state.jobs = state.jobs.filter(queued => queued.id !== job.id);
+        state.deadLetters = [...state.deadLetters, stored].slice(-this.maxDeadLetters);
+      } else {
+        const delay = this.retryDelayMs * Math.pow(2, stored.attempts - 1);
+        logger.warn('Job failed, retrying', { jobId: job.id, attempt: stored.attempts, maxAttempts: this.maxAttempts, delayMs: delay, error: failure });
+        stored.status = 'pending';
+        stored.availableAt = Date.now() + delay;
+      }
+    });
+  }
+  
+  // Drop dead letters matching a predicate, e.g. once their event has been re-run. Returns how many
+  async discardDeadLetters(predicate) {
+    await this.ready;
+    
+    return this.backend.transaction(state => {
+      const before = state.deadLetters.length;
+      state.deadLetters = state.deadLetters.filter(job => !predicate(job));
+      
+      return before - state.deadLetters.length;
+    });
+  }
+  
+  // Process everything that's pending now, ignoring retry delays (CLI and tests)
+  async drain() {
+    await this.ready;
+    await this.backend.transaction(state => {
+      state.jobs.forEach(job => {
+        if (job.status === 'pending') job.availableAt = 0;
+      });
+    });
+    await this.work();
+  }
+  
+  async stats() {
+    await this.ready;
+    const { jobs, deadLetters } = await this.backend.read();
+    const count = (status) => jobs.filter(job => job.status === status).length;
+    
+    return {
+      pending: count('pending'),
+      running: count('running'),
+      deadLetters: deadLetters.length
+    };
+  }
+  
+  async listDeadLetters() {
+    await this.ready;
+    const { deadLetters } = await this.backend.read();
+    return deadLetters.slice();
+  }
+}
+
+module.exports = {
+  MemoryQueueBackend,
+  FileQueueBackend,
+  RedisQueueBackend,
+  createQueueBackend,
+  JobQueue
+};
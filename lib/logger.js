@@ -0,0 +1,134 @@
+// Structured JSON logger
+//
+// Every line is a single JSON object on stdout (stderr for errors and warnings):
+//   {"timestamp":"...","level":"info","message":"...","correlationId":"...", ...fields}
+//
+// Fields whose key matches LOG_REDACT_FIELDS are replaced with "[REDACTED]" at any
+// depth, and Zoom passcodes embedded in URLs (pwd=...) are masked in every string.
+// Lines logged while handling a webhook carry its correlation ID automatically.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+  trace: 4
+};
+
+// Keys redacted by default (matched case-insensitively, ignoring - and _)
+const DEFAULT_REDACT_FIELDS = [
+  'passcode', 'password', 'pwd', 'hostCode', 'oneTap',
+  'token', 'apiKey', 'teamupToken', 'secret', 'authorization',
+  'custom', 'html', 'link'
+];
+
+const REDACTED = '[REDACTED]';
+const URL_SECRET_PATTERN = /([?&](?:pwd|token|api_key|apikey)=)[^&\s"'<>]+/gi;
+
+const normaliseKey = (key) => String(key).toLowerCase().replace(/[-_]/g, '');
+
+const context = new AsyncLocalStorage();
+
+class Logger {
+  constructor({ enabled = true, level = 'info', format = 'json', redactFields = DEFAULT_REDACT_FIELDS, stdout = process.stdout, stderr = process.stderr } = {}) {
+    this.enabled = enabled;
+    this.level = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+    this.format = format;
+    this.redactKeys = new Set(redactFields.map(normaliseKey));
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+  
+  shouldLog(level) {
+    return this.enabled && LEVELS[level] <= this.level;
+  }
+  
+  // Deep copy of a value with sensitive keys and URL secrets removed
+  redact(value, depth = 0) {
+    if (typeof value === 'string') return value.replace(URL_SECRET_PATTERN, `$1${REDACTED}`);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 8) return '[Truncated]';
+    
+    if (value instanceof Error) {
+      return { name: value.name, message: this.redact(value.message), errorId: value.errorId, status: value.status };
+    }
+    
+    if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+    
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = this.redactKeys.has(normaliseKey(key)) ? REDACTED : this.redact(value[key], depth + 1);
+    });
+    return copy;
+  }
+  
+  write(level, message, fields) {
+    try {
+      if (!this.shouldLog(level)) return;
+      
+      const store = context.getStore();
+      const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        message: this.redact(String(message)),
+        ...(store ? { correlationId: store.correlationId } : {}),
+        ...(fields ? this.redact(fields) : {})
+      };
+      
+      const line = this.format === 'pretty'
+        ? `${entry.timestamp} ${level.toUpperCase().padEnd(5)} ${entry.correlationId ? `[${entry.correlationId}] ` : ''}${entry.message}${fields ? ` ${JSON.stringify(this.redact(fields))}` : ''}`
+        : JSON.stringify(entry);
+      
+      (LEVELS[level] <= LEVELS.warn ? this.stderr : this.stdout).write(line + '\n');
+    } catch (error) {
+      // Never let logging break request handling
+    }
+  }
+  
+  error(message, fields) { this.write('error', message, fields); }
+  
+  warn(message, fields) { this.write('warn', message, fields); }
+  
+  info(message, fields) { this.write('info', message, fields); }
+  
+  debug(message, fields) { this.write('debug', message, fields); }
+  
+  trace(message, fields) { this.write('trace', message, fields); }
+}
+
+const newCorrelationId = () => crypto.randomBytes(8).toString('hex');
+
+// Run fn with a correlation ID attached to every line it logs (including async work it starts)
+function withCorrelationId(correlationId, fn) {
+  return context.run({ correlationId: correlationId || newCorrelationId() }, fn);
+}
+
+// The correlation ID of the current context, if any
+function currentCorrelationId() {
+  const store = context.getStore();
+  return store ? store.correlationId : null;
+}
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Shared logger configured from the environment. Logging stays off unless
+// ENABLE_LOGGING=true, as it always has
+const logger = new Logger({
+  enabled: process.env.ENABLE_LOGGING === 'true',
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json',
+  redactFields: process.env.LOG_REDACT_FIELDS
+    ? [...DEFAULT_REDACT_FIELDS, ...splitList(process.env.LOG_REDACT_FIELDS)]
+    : DEFAULT_REDACT_FIELDS
+});
+
+module.exports = {
+  Logger,
+  logger,
+  newCorrelationId,
+  withCorrelationId,
+  currentCorrelationId
+};
@@ -0,0 +1,35 @@
+// Recognising custom field values the handler wrote itself
+//
+// A field value counts as ours when it equals what one of our mappings renders
+// for the event. Anything else was typed by an editor and must never be cleared.
+// (A value rendered from a since-changed template or event title no longer
+// matches, so it is left alone rather than risk removing an editor's text.)
+
+const { renderMappingLink, isFieldUpToDate } = require('./template');
+
+// Returns [{ field, html, mapping }] for every custom field holding a link we wrote.
+// meetingFor(mapping, event) gives the meeting each mapping links this event to, or null
+// when a provider hasn't created one for it
+function findOwnedFields(mappings, event, meetingFor = (mapping) => mapping.meeting) {
+  const owned = [];
+  const custom = event.custom || {};
+  
+  mappings.forEach(mapping => {
+    const field = mapping.customFieldName;
+    if (owned.some(entry => entry.field === field)) return;
+    
+    const meeting = meetingFor(mapping, event);
+    if (!meeting) return;
+    
+    const html = renderMappingLink(mapping, event, meeting);
+    if (html && isFieldUpToDate(custom, field, html)) {
+      owned.push({ field, html, mapping });
+    }
+  });
+  
+  return owned;
+}
+
+module.exports = {
+  findOwnedFields
+};
@@ -0,0 +1,346 @@
+// Meeting providers: where the meeting behind a mapping's link comes from
+//
+//   static       the meeting written in the mapping config (the default)
+//   zoom         a Zoom meeting created through a Server-to-Server OAuth app
+//   google-meet  a Google Meet space created with an OAuth refresh token
+//   jitsi        a Jitsi Meet room, named by us - Jitsi needs no API call
+//
+// Providers other than static create one meeting per event (one per series for
+// recurring events) from the event's title, start/end and time zone, and return it
+// in the same shape as a static meeting: { url, meetingId, passcode, dialIn, oneTap }
+// plus providerMeetingId, the provider's own ID for the meeting.
+//
+// Every provider implements:
+//   createMeeting(details, mapping)                    → meeting
+//   updateMeeting(providerMeetingId, details, mapping) → the changed meeting, or null when
+//                                                        its join info stays the same
+//   deleteMeeting(providerMeetingId)
+//
+// Every API base URL comes from the environment so a local stub server can stand in.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const PROVIDER_TYPES = ['static', 'zoom', 'google-meet', 'jitsi'];
+
+const isProviderType = (type) => PROVIDER_TYPES.includes(type);
+
+// Thrown when a provider API call fails
+class MeetingProviderError extends Error {
+  constructor(provider, message, { status = null, data = null } = {}) {
+    super(`${provider}: ${message}`);
+    this.name = 'MeetingProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Run an axios request, turning failures into MeetingProviderErrors
+const send = async (provider, http, config) => {
+  try {
+    const response = await http.request(config);
+    return response.data;
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+    const data = error.response ? error.response.data : null;
+    const detail = data && (data.message || data.error_description || (data.error && data.error.message) || data.error);
+    throw new MeetingProviderError(provider, `${config.method.toUpperCase()} ${config.url} failed: ${detail || error.message}`, { status, data });
+  }
+};
+
+// What a provider needs to know about a Teamup event. `recurring` is whether the meeting
+// serves a whole series rather than this one event
+function eventMeetingDetails(event, recurring = !!event.series_id || !!event.rrule) {
+  const start = event.start_dt ? new Date(event.start_dt) : null;
+  const end = event.end_dt ? new Date(event.end_dt) : null;
+  const minutes = start && end ? Math.round((end - start) / 60000) : 60;
+  
+  return {
+    title: event.title || 'Meeting',
+    start: start && !isNaN(start) ? start.toISOString().replace(/\.\d{3}Z$/, 'Z') : null,
+    durationMinutes: minutes > 0 ? minutes : 60,
+    tz: event.tz || null,
+    recurring,
+    rrule: event.rrule || null
+  };
+}
+
+// A series meeting serves every occurrence, so the start of whichever occurrence
+// triggered the webhook doesn't matter - only what the whole series shares
+const EVENT_MEETING_FIELDS = ['title', 'start', 'durationMinutes', 'tz', 'recurring', 'rrule'];
+const SERIES_MEETING_FIELDS = ['title', 'durationMinutes', 'recurring', 'rrule'];
+
+// The detail fields that differ between the ones a meeting was made for and the event's
+function changedMeetingDetails(before, after) {
+  const fields = after.recurring ? SERIES_MEETING_FIELDS : EVENT_MEETING_FIELDS;
+  return fields.filter(field => (before[field] === undefined ? null : before[field]) !== after[field]);
+}
+
+// An OAuth access token, fetched again shortly before it expires
+class TokenCache {
+  constructor(fetchToken) {
+    this.fetchToken = fetchToken;
+    this.token = null;
+    this.expiresAt = 0;
+  }
+  
+  async get() {
+    if (this.token && Date.now() < this.expiresAt - 60000) return this.token;
+    
+    const { access_token: token, expires_in: expiresIn = 3600 } = await this.fetchToken();
+    this.token = token;
+    this.expiresAt = Date.now() + expiresIn * 1000;
+    return token;
+  }
+}
+
+class StaticProvider {
+  constructor() {
+    this.type = 'static';
+  }
+  
+  async createMeeting(details, mapping) {
+    return mapping.meeting;
+  }
+  
+  async updateMeeting() {
+    return null;
+  }
+  
+  async deleteMeeting() {}
+}
+
+// Zoom meetings through a Server-to-Server OAuth app. Single events get a scheduled
+// meeting, series a recurring meeting with no fixed time so every occurrence shares it
+class ZoomProvider {
+  constructor({ accountId, clientId, clientSecret, userId = 'me', apiUrl, oauthUrl, timeoutMs = 10000 }) {
+    this.type = 'zoom';
+    this.userId = userId;
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.http = axios.create({ timeout: timeoutMs });
+    this.tokens = new TokenCache(() => send('zoom', this.http, {
+      method: 'post',
+      url: oauthUrl,
+      params: { grant_type: 'account_credentials', account_id: accountId },
+      auth: { username: clientId, password: clientSecret }
+    }));
+  }
+  
+  async request(method, path, data) {
+    const token = await this.tokens.get();
+    return send('zoom', this.http, {
+      method,
+      url: `${this.apiUrl}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+  }
+  
+  meetingBody(details, mapping) {
+    const body = {
+      topic: details.title,
+      type: details.recurring ? 3 : 2,
+      duration: details.durationMinutes,
+      settings: mapping.provider.options.settings || {}
+    };
+    
+    if (!details.recurring && details.start) {
+      body.start_time = details.start;
+      if (details.tz) body.timezone = details.tz;
+    }
+    
+    return body;
+  }
+  
+  async createMeeting(details, mapping) {
+    const userId = mapping.provider.options.userId || this.userId;
+    const data = await this.request('post', `/users/${encodeURIComponent(userId)}/meetings`, this.meetingBody(details, mapping));
+    return zoomMeeting(data);
+  }
+  
+  // Zoom keeps the join URL and passcode when a meeting is rescheduled
+  async updateMeeting(meetingId, details, mapping) {
+    await this.request('patch', `/meetings/${encodeURIComponent(meetingId)}`, this.meetingBody(details, mapping));
+    return null;
+  }
+  
+  async deleteMeeting(meetingId) {
+    try {
+      await this.request('delete', `/meetings/${encodeURIComponent(meetingId)}`);
+    } catch (error) {
+      // Already deleted in Zoom
+      if (error.status !== 404) throw error;
+    }
+  }
+}
+
+// Zoom's meeting IDs are shown in groups: 123 4567 8901
+const formatZoomId = (id) => {
+  const digits = String(id);
+  return digits.length === 11
+    ? `${digits.slice(0, 3)} ${digits.slice(3, 7)} ${digits.slice(7)}`
+    : digits.replace(/(\d{3})(\d{3})(\d+)/, '$1 $2 $3');
+};
+
+// A Zoom API meeting in the shape templates use
+function zoomMeeting(data) {
+  const numbers = (data.settings && data.settings.global_dial_in_numbers) || [];
+  const dialIn = numbers.map(entry => `${entry.number}${entry.country_name ? ` (${entry.country_name})` : ''}`);
+  const pstnPasscode = data.pstn_password || data.password;
+  const first = numbers[0];
+  
+  return {
+    url: data.join_url,
+    meetingId: formatZoomId(data.id),
+    passcode: data.password || undefined,
+    dialIn,
+    oneTap: first
+      ? `${first.number.replace(/\s/g, '')},,${data.id}#${pstnPasscode ? `,,,,*${pstnPasscode}#` : ''}`
+      : undefined,
+    providerMeetingId: String(data.id)
+  };
+}
+
+// Google Meet spaces through the Meet REST API. Spaces have no schedule or title,
+// so the event only decides when a new space is needed
+class GoogleMeetProvider {
+  constructor({ clientId, clientSecret, refreshToken, apiUrl, oauthUrl, timeoutMs = 10000 }) {
+    this.type = 'google-meet';
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.http = axios.create({ timeout: timeoutMs });
+    this.tokens = new TokenCache(() => send('google-meet', this.http, {
+      method: 'post',
+      url: oauthUrl,
+      data: new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: clientId,
+        client_secret: clientSecret,
+        refresh_token: refreshToken
+      }).toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }));
+  }
+  
+  async request(method, path, data) {
+    const token = await this.tokens.get();
+    return send('google-meet', this.http, {
+      method,
+      url: `${this.apiUrl}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+  }
+  
+  async createMeeting(details, mapping) {
+    const { accessType } = mapping.provider.options;
+    const data = await this.request('post', '/spaces', accessType ? { config: { accessType } } : {});
+    
+    return {
+      url: data.meetingUri,
+      meetingId: data.meetingCode,
+      dialIn: [],
+      providerMeetingId: data.name
+    };
+  }
+  
+  // Nothing about a space depends on the event
+  async updateMeeting() {
+    return null;
+  }
+  
+  // The Meet API has no way to delete a space. Ending its conference (if one is running)
+  // is as close as it gets; the unused space costs nothing
+  async deleteMeeting(spaceName) {
+    try {
+      await this.request('post', `/${spaceName}:endActiveConference`, {});
+    } catch (error) {
+      // No active conference, or the space is gone
+      if (error.status !== 400 && error.status !== 404) throw error;
+    }
+  }
+}
+
+// Jitsi Meet rooms exist as soon as someone joins, so creating one is just picking
+// a name that's hard to guess
+class JitsiProvider {
+  constructor({ baseUrl }) {
+    this.type = 'jitsi';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+  
+  async createMeeting(details, mapping) {
+    const prefix = mapping.provider.options.roomPrefix || '';
+    const slug = details.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    const room = [prefix, slug, crypto.randomBytes(6).toString('hex')].filter(Boolean).join('-');
+    
+    return {
+      url: `${this.baseUrl}/${encodeURIComponent(room)}`,
+      meetingId: room,
+      dialIn: [],
+      providerMeetingId: room
+    };
+  }
+  
+  // The room name is already in calendars and invitations - keep it when the title changes
+  async updateMeeting() {
+    return null;
+  }
+  
+  // Rooms disappear by themselves once empty
+  async deleteMeeting() {}
+}
+
+// Build every provider whose credentials are set in `env`, keyed by type.
+// Static and Jitsi need none, so they are always available
+function createMeetingProviders(env = process.env) {
+  const timeoutMs = Number(env.MEETING_PROVIDER_TIMEOUT_MS || '10000');
+  const providers = {
+    static: new StaticProvider(),
+    jitsi: new JitsiProvider({ baseUrl: env.JITSI_BASE_URL || 'https://meet.jit.si' })
+  };
+  
+  if (env.ZOOM_ACCOUNT_ID && env.ZOOM_CLIENT_ID && env.ZOOM_CLIENT_SECRET) {
+    providers.zoom = new ZoomProvider({
+      accountId: env.ZOOM_ACCOUNT_ID,
+      clientId: env.ZOOM_CLIENT_ID,
+      clientSecret: env.ZOOM_CLIENT_SECRET,
+      userId: env.ZOOM_USER_ID || 'me',
+      apiUrl: env.ZOOM_API_URL || 'https://api.zoom.us/v2',
+      oauthUrl: env.ZOOM_OAUTH_URL || 'https://zoom.us/oauth/token',
+      timeoutMs
+    });
+  }
+  
+  if (env.GOOGLE_CLIENT_ID && env.GOOGLE_CLIENT_SECRET && env.GOOGLE_REFRESH_TOKEN) {
+    providers['google-meet'] = new GoogleMeetProvider({
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET,
+      refreshToken: env.GOOGLE_REFRESH_TOKEN,
+      apiUrl: env.GOOGLE_MEET_API_URL || 'https://meet.googleapis.com/v2',
+      oauthUrl: env.GOOGLE_OAUTH_URL || 'https://oauth2.googleapis.com/token',
+      timeoutMs
+    });
+  }
+  
+  logger.debug('Meeting providers available', { providers: Object.keys(providers) });
+  return providers;
+}
+
+// The env vars each provider needs, for startup errors
+const PROVIDER_ENV = {
+  zoom: 'ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID and ZOOM_CLIENT_SECRET',
+  'google-meet': 'GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REFRESH_TOKEN'
+};
+
+module.exports = {
+  PROVIDER_TYPES,
+  PROVIDER_ENV,
+  isProviderType,
+  MeetingProviderError,
+  eventMeetingDetails,
+  changedMeetingDetails,
+  zoomMeeting,
+  createMeetingProviders
+};
@@ -0,0 +1,132 @@
+// Meetings created by a provider, so each event (or series) keeps the one it was given
+// and the meeting can be updated or deleted along with the event
+//
+// Records are keyed by calendar and event - see meetingKey - and look like
+//   { key, provider, mapping, eventId, seriesId, meeting, details, createdAt, updatedAt }
+// where details are the event details the meeting was last created or updated for.
+// Lookups are synchronous (the stale-link check and reconciliation render links
+// without waiting); writes are persisted before they resolve.
+//
+// "memory" is the default. "file" keeps the records in a JSON file so meetings
+// survive restarts - without it a restart creates a new meeting on the next webhook.
+
+const fs = require('fs');
+const { logger } = require('./logger');
+const { parseEventId, resolveRecurrenceTarget } = require('./recurrence');
+
+// Which meeting an event uses: one per series for recurring events, unless the mapping
+// only ever updates single occurrences, and one per event otherwise
+function meetingKey(calendarKey, mapping, event) {
+  const isRecurring = !!event.series_id || !!event.rrule;
+  
+  if (isRecurring && mapping.recurrenceScope !== 'single') {
+    const { seriesId } = resolveRecurrenceTarget(event);
+    return `${calendarKey}:series:${seriesId}`;
+  }
+  
+  return `${calendarKey}:event:${event.id}`;
+}
+
+const isSeriesMeetingKey = (key) => key.includes(':series:');
+
+// The key the meeting of this event had before its recurrence changed: a single event that
+// became a series (or the reverse) keeps its meeting. Occurrences never take the series'
+// meeting this way, so they have none
+function previousMeetingKey(calendarKey, mapping, event) {
+  const { isInstance, seriesId } = parseEventId(event.id);
+  if (isInstance) return null;
+  
+  return isSeriesMeetingKey(meetingKey(calendarKey, mapping, event))
+    ? `${calendarKey}:event:${event.id}`
+    : `${calendarKey}:series:${seriesId}`;
+}
+
+// Keys of the meetings that end with this event: its own, and its series' unless the
+// event is a single occurrence ("<seriesId>-rid-<timestamp>") - the series lives on.
+// For a series, the meetings of its occurrences (recurrenceScope "single") end with it
+// too: they are found among `storedKeys` by their "<seriesId>-rid-" prefix
+function eventMeetingKeys(calendarKey, event, storedKeys = []) {
+  const { isInstance, seriesId } = parseEventId(event.id);
+  const keys = [`${calendarKey}:event:${event.id}`];
+  
+  if (!isInstance) {
+    const id = event.series_id ? parseInt(event.series_id, 10) : seriesId;
+    const occurrencePrefix = `${calendarKey}:event:${id}-rid-`;
+    
+    keys.push(`${calendarKey}:series:${id}`);
+    keys.push(...storedKeys.filter(key => key.startsWith(occurrencePrefix)));
+  }
+  
+  return keys;
+}
+
+class MemoryMeetingStore {
+  constructor() {
+    this.records = new Map();
+  }
+  
+  get(key) {
+    return this.records.get(key) || null;
+  }
+  
+  list() {
+    return Array.from(this.records.values());
+  }
+  
+  async set(key, record) {
+    this.records.set(key, { key, ...record });
+    await this.save();
+  }
+  
+  async delete(key) {
+    const existed = this.records.delete(key);
+    if (existed) await this.save();
+    return existed;
+  }
+  
+  async save() {}
+}
+
+// Keeps the same records as the memory store, persisted to a JSON file
+class FileMeetingStore extends MemoryMeetingStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    
+    try {
+      if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        Object.keys(saved).forEach(key => this.records.set(key, saved[key]));
+      }
+    } catch (error) {
+      logger.warn('Could not read meetings file, starting empty', { filePath, error });
+    }
+  }
+  
+  async save() {
+    await fs.promises.writeFile(this.filePath, JSON.stringify(Object.fromEntries(this.records), null, 2));
+  }
+}
+
+// Build a store from MEETING_STORE ("memory" or "file")
+function createMeetingStore({ type = 'memory', filePath } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryMeetingStore();
+    case 'file':
+      if (!filePath) throw new Error('MEETING_STORE_FILE must be set when MEETING_STORE=file');
+      return new FileMeetingStore(filePath);
+    default:
+      throw new Error(`Unknown MEETING_STORE "${type}". Use memory or file`);
+  }
+}
+
+module.exports = {
+  MemoryMeetingStore,
+  FileMeetingStore,
+  createMeetingStore,
+  meetingKey,
+  isSeriesMeetingKey,
+  previousMeetingKey,
+  eventMeetingKeys
+};
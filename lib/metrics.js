@@ -0,0 +1,184 @@
+// Prometheus metrics, served by GET /metrics in the text exposition format
+//
+// Counters and histograms live in memory, so each instance (or serverless
+// container) reports its own numbers from when it started.
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in labelNames order
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+  
+  labelsFor(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach(key => {
+      picked[key] = labels[key] === undefined || labels[key] === null ? '' : String(labels[key]);
+    });
+    return picked;
+  }
+  
+  seriesFor(labels, create) {
+    const picked = this.labelsFor(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, { labels: picked, ...create() });
+    return this.series.get(key);
+  }
+  
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+  
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+  
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+  
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+  
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+  
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+  
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+  
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+  
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+  }
+}
+
+// The handler's metrics
+function createMetrics(registry = new Registry()) {
+  const webhooks = registry.counter(
+    'teamup_webhooks_received_total',
+    'Webhook dispatch items received, by trigger',
+    ['trigger']
+  );
+  const updates = registry.counter(
+    'teamup_zoom_updates_total',
+    'Zoom link updates by sub-calendar, winning strategy and outcome (updated, cleared or failed)',
+    ['subcalendar', 'strategy', 'outcome']
+  );
+  const attempts = registry.counter(
+    'teamup_zoom_update_attempts_total',
+    'Individual update attempts by strategy and result, showing how often updates fall back',
+    ['strategy', 'result']
+  );
+  const skipped = registry.counter(
+    'teamup_zoom_updates_skipped_total',
+    'Dispatch items that needed no write, by reason',
+    ['reason']
+  );
+  const apiErrors = registry.counter(
+    'teamup_api_errors_total',
+    'Teamup API errors by error.id (or network)',
+    ['method', 'error_id']
+  );
+  const apiLatency = registry.histogram(
+    'teamup_api_request_duration_seconds',
+    'Teamup API request latency in seconds, one observation per HTTP attempt',
+    ['method', 'status']
+  );
+  
+  return {
+    registry,
+    
+    webhookReceived(trigger) {
+      webhooks.inc({ trigger: trigger || 'unknown' });
+    },
+    
+    // Count one processed outcome, using the same fields as an audit entry
+    outcome({ status, subcalendarId, strategy, attempts: tried = [] }) {
+      tried.forEach(attempt => attempts.inc({ strategy: attempt.strategy, result: attempt.success ? 'success' : 'failure' }));
+      
+      if (status === 'updated' || status === 'cleared' || status === 'failed') {
+        // Failures have no winning strategy - count them against the last one tried
+        const lastTried = tried.length > 0 ? tried[tried.length - 1].strategy : null;
+        updates.inc({ subcalendar: subcalendarId || 'none', strategy: strategy || lastTried || 'none', outcome: status });
+      } else if (status === 'unchanged') {
+        skipped.inc({ reason: 'unchanged' });
+      }
+    },
+    
+    // Called by the Teamup client after every HTTP attempt
+    apiRequest({ method, status, durationMs, errorId }) {
+      apiLatency.observe({ method, status: status || 'network' }, durationMs / 1000);
+      if (errorId || status >= 400 || !status) {
+        apiErrors.inc({ method, error_id: errorId || (status ? `http_${status}` : 'network') });
+      }
+    },
+    
+    render() {
+      return registry.render();
+    }
+  };
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  Registry,
+  createMetrics
+};
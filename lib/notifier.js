@@ -0,0 +1,228 @@
+// Notifications for failures someone has to fix by hand: a Zoom link that could not be
+// written to an event, or a calendar that can't be updated at all because its calendar
+// key or API key is missing
+//
+// Channels:
+//   webhook  POST { text, failures } to any URL
+//   slack    a Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat, ...)
+//   email    SMTP through nodemailer (an optional dependency)
+//
+// Failures are collected for NOTIFY_BATCH_SECONDS and sent as one message per channel.
+// A failure already sent for the same event and error is not sent again within
+// NOTIFY_DEDUPE_SECONDS, so queue retries and repeated webhooks don't page anyone twice.
+// Each failure looks like
+//   { calendar, eventId, title, start, tz, subcalendarId, mapping, errorId, error }
+// where only error is required.
+
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const describeFailure = (failure) => {
+  const parts = [failure.title ? `"${failure.title}"` : 'Calendar'];
+  if (failure.eventId) parts.push(`event ${failure.eventId}`);
+  if (failure.start) parts.push(`starts ${failure.start}${failure.tz ? ` (${failure.tz})` : ''}`);
+  if (failure.subcalendarId) parts.push(`sub-calendar ${failure.subcalendarId}${failure.mapping ? ` (${failure.mapping})` : ''}`);
+  if (failure.calendar) parts.push(`calendar ${failure.calendar}`);
+  
+  return `${parts.join(', ')}: ${failure.errorId ? `[${failure.errorId}] ` : ''}${failure.error}`;
+};
+
+const summary = (failures) => (failures.length === 1
+  ? 'A Zoom link could not be applied'
+  : `${failures.length} Zoom links could not be applied`);
+
+// Plain text body shared by every channel
+function formatFailures(failures) {
+  return [`${summary(failures)}:`, ...failures.map(failure => `- ${describeFailure(failure)}`)].join('\n');
+}
+
+class WebhookChannel {
+  constructor({ url, timeoutMs }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+  
+  async send(failures) {
+    await axios.post(this.url, { text: formatFailures(failures), failures }, { timeout: this.timeoutMs });
+  }
+}
+
+class SlackChannel {
+  constructor({ url, timeoutMs }) {
+    this.name = 'slack';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+  
+  async send(failures) {
+    const lines = failures.map(failure => `• ${describeFailure(failure)}`);
+    await axios.post(this.url, { text: `:warning: *${summary(failures)}*\n${lines.join('\n')}` }, { timeout: this.timeoutMs });
+  }
+}
+
+class EmailChannel {
+  constructor({ smtpUrl, from, to }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.transport = null;
+    // Optional dependency - only needed when email notifications are used. Without it
+    // this channel fails each send with a clear error and the other channels still work
+    try {
+      this.transport = require('nodemailer').createTransport(smtpUrl);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+      logger.error('Email notifications need the nodemailer package - install it with npm install nodemailer');
+    }
+  }
+  
+  async send(failures) {
+    if (!this.transport) throw new Error('nodemailer is not installed, so email notifications can\'t be sent');
+    
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `Teamup: ${summary(failures)}`,
+      text: formatFailures(failures)
+    });
+  }
+}
+
+// Failures with the same key are only sent once per dedupe window
+const dedupeKey = (failure) => [failure.calendar, failure.eventId, failure.errorId || failure.error].join('|');
+
+class Notifier {
+  constructor({ channels = [], batchMs = 60000, dedupeMs = 3600000 } = {}) {
+    this.channels = channels;
+    this.batchMs = batchMs;
+    this.dedupeMs = dedupeMs;
+    this.pending = [];
+    // Dedupe key → when a channel last delivered it
+    this.sent = new Map();
+    // Keys pending or being sent, so a repeat isn't queued twice meanwhile
+    this.queued = new Set();
+    // Sends started by flush() that haven't finished yet
+    this.sending = new Set();
+    this.timer = null;
+  }
+  
+  get enabled() {
+    return this.channels.length > 0;
+  }
+  
+  // Queue a failure for the next batch. Returns false when it was a duplicate
+  // (or no channel is configured)
+  notify(failure) {
+    if (!this.enabled) return false;
+    
+    const now = Date.now();
+    this.sent.forEach((at, key) => {
+      if (now - at >= this.dedupeMs) this.sent.delete(key);
+    });
+    
+    const key = dedupeKey(failure);
+    if (this.sent.has(key) || this.queued.has(key)) {
+      logger.debug('Notification already sent, skipping', { eventId: failure.eventId || null, errorId: failure.errorId || null });
+      return false;
+    }
+    
+    this.queued.add(key);
+    this.pending.push({ ...failure, at: new Date(now).toISOString() });
+    
+    if (this.batchMs <= 0) {
+      this.flush().catch(error => logger.error('Notification flush failed', { error }));
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(error => logger.error('Notification flush failed', { error }));
+      }, this.batchMs);
+      // Don't keep the process alive for a batch - short-lived commands flush() before exiting
+      if (this.timer.unref) this.timer.unref();
+    }
+    
+    return true;
+  }
+  
+  // Send everything pending now, and wait for sends already under way. A channel that
+  // fails is logged; the others still send
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    const failures = this.pending;
+    this.pending = [];
+    if (failures.length > 0) {
+      const sending = this.send(failures);
+      this.sending.add(sending);
+      sending.then(() => this.sending.delete(sending));
+    }
+    
+    await Promise.all([...this.sending]);
+  }
+  
+  async send(failures) {
+    const results = await Promise.all(this.channels.map(async channel => {
+      try {
+        await channel.send(failures);
+        logger.info('Sent failure notification', { channel: channel.name, failures: failures.length });
+        return true;
+      } catch (error) {
+        logger.error('Could not send failure notification', { channel: channel.name, failures: failures.length, error });
+        return false;
+      }
+    }));
+    
+    // Only a delivered failure counts as sent - if every channel failed, the next
+    // occurrence is notified again
+    const delivered = results.some(Boolean);
+    const now = Date.now();
+    failures.forEach(failure => {
+      const key = dedupeKey(failure);
+      this.queued.delete(key);
+      if (delivered) this.sent.set(key, now);
+    });
+  }
+}
+
+// Build a notifier from NOTIFY_* environment variables. With none set it never sends
+function createNotifier(env = process.env) {
+  const timeoutMs = Number(env.NOTIFY_TIMEOUT_MS || '10000');
+  const channels = [];
+  
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.push(new WebhookChannel({ url: env.NOTIFY_WEBHOOK_URL, timeoutMs }));
+  }
+  
+  if (env.NOTIFY_SLACK_WEBHOOK_URL) {
+    channels.push(new SlackChannel({ url: env.NOTIFY_SLACK_WEBHOOK_URL, timeoutMs }));
+  }
+  
+  if (env.NOTIFY_SMTP_URL) {
+    if (!env.NOTIFY_EMAIL_TO) throw new Error('NOTIFY_EMAIL_TO must be set when NOTIFY_SMTP_URL is');
+    channels.push(new EmailChannel({
+      smtpUrl: env.NOTIFY_SMTP_URL,
+      from: env.NOTIFY_EMAIL_FROM || env.NOTIFY_EMAIL_TO,
+      to: env.NOTIFY_EMAIL_TO
+    }));
+  }
+  
+  logger.debug('Notification channels', { channels: channels.map(channel => channel.name) });
+  
+  return new Notifier({
+    channels,
+    batchMs: Number(env.NOTIFY_BATCH_SECONDS || '60') * 1000,
+    dedupeMs: Number(env.NOTIFY_DEDUPE_SECONDS || '3600') * 1000
+  });
+}
+
+module.exports = {
+  Notifier,
+  WebhookChannel,
+  SlackChannel,
+  EmailChannel,
+  createNotifier,
+  formatFailures
+};
@@ -0,0 +1,121 @@
+// Reconciliation: sweep the calendar and fix events whose managed field is wrong
+//
+// Catches events that predate the webhook or whose webhook was missed. Events are
+// listed per mapped sub-calendar, compared against the link their mapping renders,
+// and (unless dry-running) fixed through the same code path as webhooks.
+
+const { findMapping } = require('./rules');
+const { renderMappingLink, isFieldUpToDate } = require('./template');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Default range: today to DEFAULT_RANGE_DAYS days from now
+function defaultRange(now = new Date()) {
+  const end = new Date(now.getTime() + DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  return { startDate: toDateString(now), endDate: toDateString(end) };
+}
+
+const currentFieldHtml = (event, field) => {
+  const value = (event.custom || {})[field];
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? value.html || '' : String(value);
+};
+
+// List events once each across every mapped sub-calendar
+async function listMappedEvents(client, config, startDate, endDate) {
+  const events = new Map();
+  
+  for (const subcalendarId of config.managedSubcalendarIds) {
+    const found = await client.listEvents({ startDate, endDate, subcalendarIds: [subcalendarId] });
+    found.forEach(event => events.set(String(event.id), event));
+  }
+  
+  return Array.from(events.values());
+}
+
+// Compare every event against its expected link.
+// applyFix(event) is called for each out-of-date event unless dryRun is set.
+// meetingFor(mapping, event) gives the meeting to link to, or null when a provider
+// has yet to create one - such events always need fixing.
+// Returns { startDate, endDate, dryRun, checked, upToDate, unmatched, changes: [...] }
+async function reconcile({ client, config, startDate, endDate, dryRun = false, applyFix, meetingFor = (mapping) => mapping.meeting }) {
+  const range = defaultRange();
+  startDate = startDate || range.startDate;
+  endDate = endDate || range.endDate;
+  
+  const report = { startDate, endDate, dryRun, checked: 0, upToDate: 0, unmatched: 0, changes: [] };
+  const events = await listMappedEvents(client, config, startDate, endDate);
+  
+  for (const event of events) {
+    report.checked++;
+    
+    const match = findMapping(config.mappings, event);
+    if (!match) {
+      report.unmatched++;
+      continue;
+    }
+    
+    const field = match.mapping.customFieldName;
+    const meeting = meetingFor(match.mapping, event);
+    const expected = meeting
+      ? renderMappingLink(match.mapping, event, meeting)
+      : `(new ${match.mapping.provider.type} meeting)`;
+    
+    if (meeting && isFieldUpToDate(event.custom, field, expected)) {
+      report.upToDate++;
+      continue;
+    }
+    
+    const change = {
+      eventId: String(event.id),
+      title: event.title || '',
+      start_dt: event.start_dt,
+      subcalendarId: match.subcalendarId,
+      field,
+      current: currentFieldHtml(event, field),
+      expected,
+      status: dryRun ? 'pending' : null,
+      error: null
+    };
+    
+    if (!dryRun) {
+      try {
+        await applyFix(event);
+        change.status = 'fixed';
+      } catch (error) {
+        change.status = 'failed';
+        change.error = error.message;
+      }
+    }
+    
+    report.changes.push(change);
+  }
+  
+  return report;
+}
+
+// Human-readable diff report for the CLI
+function formatReport(report) {
+  const lines = [
+    `Reconciliation${report.calendar ? ` of calendar ${report.calendar}` : ''} ${report.startDate} → ${report.endDate}${report.dryRun ? ' (dry run)' : ''}`,
+    `Checked ${report.checked} event(s): ${report.upToDate} up to date, ${report.unmatched} without a matching mapping, ${report.changes.length} to fix`
+  ];
+  
+  report.changes.forEach(change => {
+    lines.push('');
+    lines.push(`[${change.status}] ${change.eventId} "${change.title}" ${change.start_dt} (sub-calendar ${change.subcalendarId}, field ${change.field})`);
+    lines.push(`- ${change.current || '(empty)'}`.replace(/\n/g, '\n- '));
+    lines.push(`+ ${change.expected}`.replace(/\n/g, '\n+ '));
+    if (change.error) lines.push(`  error: ${change.error}`);
+  });
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  defaultRange,
+  reconcile,
+  formatReport
+};
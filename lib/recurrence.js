@@ -0,0 +1,95 @@
+// Recurring event ID handling
+//
+// Teamup identifies a single occurrence of a series as "<seriesId>-rid-<unix start>",
+// where the timestamp is the occurrence's ORIGINAL start (it doesn't change when
+// the occurrence is moved). The series master is identified by the bare series ID.
+
+// Teamup's redit values: this occurrence, this and future occurrences, whole series
+const RECURRENCE_SCOPES = ['single', 'future', 'all'];
+
+const isRecurrenceScope = (scope) => RECURRENCE_SCOPES.includes(scope);
+
+// Split an event ID into its series ID and (for instances) the occurrence timestamp
+function parseEventId(eventId) {
+  const [seriesPart, timestampPart] = String(eventId).split('-rid-');
+  const timestamp = timestampPart === undefined ? NaN : parseInt(timestampPart, 10);
+  
+  return {
+    seriesId: parseInt(seriesPart, 10),
+    isInstance: timestampPart !== undefined,
+    occurrenceTimestamp: isNaN(timestamp) ? null : timestamp
+  };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// A moment as Teamup writes dates, calendar-local with its offset
+// ("2025-03-08T09:00:00-06:00"), in the event's time zone. Without a known zone it is
+// written in UTC ("+00:00")
+function formatTeamupDate(date, tz) {
+  const parts = {};
+  try {
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz || 'UTC',
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+      if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    });
+  } catch (error) {
+    return formatTeamupDate(date, 'UTC');
+  }
+  
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// Work out which event ID to update and the recurrence fields to send with it.
+// Returns { targetId, seriesId, ristartDt, redit, isInstance, isMaster }
+function resolveRecurrenceTarget(event, scope = null) {
+  const parsed = parseEventId(event.id);
+  const seriesId = event.series_id ? parseInt(event.series_id, 10) : parsed.seriesId;
+  
+  let ristartDt = null;
+  
+  if (parsed.isInstance) {
+    // The instance ID carries the original occurrence start, which is exactly ristart_dt,
+    // written in the event's time zone like Teamup writes it
+    if (parsed.occurrenceTimestamp !== null) {
+      ristartDt = formatTeamupDate(new Date(parsed.occurrenceTimestamp * 1000), event.tz);
+    } else if (event.ristart_dt) {
+      ristartDt = event.ristart_dt;
+    }
+  } else if (event.rrule) {
+    // A series master: its own start is the first occurrence. We update the master
+    // itself rather than inventing an instance ID for it
+    ristartDt = event.ristart_dt || event.start_dt || null;
+  } else {
+    ristartDt = event.ristart_dt || null;
+  }
+  
+  return {
+    targetId: String(event.id),
+    seriesId,
+    ristartDt,
+    redit: isRecurrenceScope(scope) ? scope : null,
+    isInstance: parsed.isInstance,
+    isMaster: !parsed.isInstance && !!event.rrule
+  };
+}
+
+module.exports = {
+  RECURRENCE_SCOPES,
+  isRecurrenceScope,
+  parseEventId,
+  resolveRecurrenceTarget
+};
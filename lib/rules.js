@@ -0,0 +1,193 @@
+// Rule matching: pick the mapping that applies to an event
+//
+// A mapping matches when the event is on one of its sub-calendars AND every
+// condition in its optional "match" block holds. When several mappings match,
+// the highest priority wins; ties go to the one listed first.
+//
+//   "match": {
+//     "title": "power lunch",           regex, case-insensitive
+//     "who": "...", "location": "...",  regex, case-insensitive
+//     "custom": { "room": "^A" },       regex per existing custom field value
+//     "daysOfWeek": ["mon", "wed"],
+//     "timeOfDay": { "from": "11:00", "to": "14:00" }   start time, to is exclusive
+//   }
+//
+// Days and times use the wall-clock time in the event's start_dt, i.e. the calendar's timezone.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const REGEX_FIELDS = ['title', 'who', 'location'];
+const MATCH_KEYS = [...REGEX_FIELDS, 'custom', 'daysOfWeek', 'timeOfDay'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const compileRegex = (pattern, label, errors) => {
+  if (typeof pattern !== 'string') {
+    errors.push(`${label} must be a regex string`);
+    return null;
+  }
+  
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    errors.push(`${label}: invalid regex (${error.message})`);
+    return null;
+  }
+};
+
+// Validate a "match" block and compile it into the form matchesEvent uses
+function compileMatch(match, label, errors) {
+  const compiled = {};
+  if (match === undefined) return compiled;
+  
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    errors.push(`${label} must be an object`);
+    return compiled;
+  }
+  
+  Object.keys(match).filter(key => !MATCH_KEYS.includes(key)).forEach(key => {
+    errors.push(`${label}: unknown condition "${key}". Known: ${MATCH_KEYS.join(', ')}`);
+  });
+  
+  REGEX_FIELDS.forEach(field => {
+    if (match[field] !== undefined) {
+      compiled[field] = compileRegex(match[field], `${label}.${field}`, errors);
+    }
+  });
+  
+  if (match.custom !== undefined) {
+    if (!match.custom || typeof match.custom !== 'object' || Array.isArray(match.custom)) {
+      errors.push(`${label}.custom must be an object of field name → regex`);
+    } else {
+      compiled.custom = Object.keys(match.custom).map(field => ({
+        field,
+        regex: compileRegex(match.custom[field], `${label}.custom.${field}`, errors)
+      }));
+    }
+  }
+  
+  if (match.daysOfWeek !== undefined) {
+    const days = [].concat(match.daysOfWeek).map(day => String(day).slice(0, 3).toLowerCase());
+    const invalid = days.filter(day => !DAY_NAMES.includes(day));
+    
+    if (invalid.length > 0) {
+      errors.push(`${label}.daysOfWeek: unknown day(s) ${invalid.join(', ')}. Use ${DAY_NAMES.join(', ')}`);
+    }
+    compiled.daysOfWeek = days.map(day => DAY_NAMES.indexOf(day));
+  }
+  
+  if (match.timeOfDay !== undefined) {
+    const { from = '00:00', to = '24:00' } = match.timeOfDay || {};
+    const validTo = to === '24:00' || TIME_PATTERN.test(to);
+    
+    if (!TIME_PATTERN.test(from) || !validTo) {
+      errors.push(`${label}.timeOfDay: from/to must be HH:MM (24 hour)`);
+    } else {
+      compiled.timeOfDay = {
+        from: toMinutes(from),
+        to: to === '24:00' ? 24 * 60 : toMinutes(to)
+      };
+    }
+  }
+  
+  return compiled;
+}
+
+// The event's sub-calendar IDs as strings, from subcalendar_ids or subcalendar_id
+function eventSubcalendarIds(event) {
+  const ids = Array.isArray(event.subcalendar_ids) && event.subcalendar_ids.length > 0
+    ? event.subcalendar_ids
+    : [event.subcalendar_id];
+  
+  return ids.filter(id => id !== undefined && id !== null).map(id => String(id));
+}
+
+// Day of week (0 = Sunday) and minutes since midnight from the wall-clock part of start_dt
+const startWallClock = (startDt) => {
+  const parts = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(String(startDt || ''));
+  if (!parts) return null;
+  
+  const [, year, month, day, hours = '00', minutes = '00'] = parts;
+  return {
+    dayOfWeek: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))).getUTCDay(),
+    minutes: Number(hours) * 60 + Number(minutes)
+  };
+};
+
+// Custom field values are { html }, strings, or arrays of option IDs
+const customValueText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(',');
+  if (typeof value === 'object') return value.html || '';
+  return String(value);
+};
+
+// True when every condition of a compiled match block holds for the event
+function matchesConditions(match, event) {
+  for (const field of REGEX_FIELDS) {
+    if (match[field] && !match[field].test(event[field] || '')) return false;
+  }
+  
+  if (match.custom) {
+    const custom = event.custom || {};
+    if (!match.custom.every(({ field, regex }) => regex.test(customValueText(custom[field])))) return false;
+  }
+  
+  if (match.daysOfWeek || match.timeOfDay) {
+    const start = startWallClock(event.start_dt);
+    if (!start) return false;
+    if (match.daysOfWeek && !match.daysOfWeek.includes(start.dayOfWeek)) return false;
+    if (match.timeOfDay && (start.minutes < match.timeOfDay.from || start.minutes >= match.timeOfDay.to)) return false;
+  }
+  
+  return true;
+}
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Human-readable conditions of a compiled match block, e.g. ['title ~ /lunch/i', 'on mon, wed']
+function describeMatch(match) {
+  const conditions = REGEX_FIELDS.filter(field => match[field]).map(field => `${field} ~ ${match[field]}`);
+  
+  (match.custom || []).forEach(({ field, regex }) => conditions.push(`custom.${field} ~ ${regex}`));
+  
+  if (match.daysOfWeek) {
+    conditions.push(`on ${match.daysOfWeek.map(day => DAY_NAMES[day]).join(', ')}`);
+  }
+  
+  if (match.timeOfDay) {
+    conditions.push(`starts ${formatMinutes(match.timeOfDay.from)}-${formatMinutes(match.timeOfDay.to)}`);
+  }
+  
+  return conditions;
+}
+
+// Find the highest priority mapping for an event.
+// Returns { mapping, subcalendarId } (subcalendarId is the event's sub-calendar that matched) or null
+function findMapping(mappings, event) {
+  const eventIds = eventSubcalendarIds(event);
+  let best = null;
+  
+  mappings.forEach(mapping => {
+    const subcalendarId = eventIds.find(id => mapping.subcalendarIds.includes(id));
+    if (!subcalendarId || !matchesConditions(mapping.match, event)) return;
+    
+    if (!best || mapping.priority > best.mapping.priority) {
+      best = { mapping, subcalendarId };
+    }
+  });
+  
+  return best;
+}
+
+module.exports = {
+  compileMatch,
+  describeMatch,
+  eventSubcalendarIds,
+  matchesConditions,
+  findMapping
+};
@@ -0,0 +1,48 @@
+// What to do when an event is tagged with more than one managed sub-calendar
+//
+//   keep-all         leave subcalendar_ids untouched (default)
+//   keep-triggering  drop every managed sub-calendar except the one whose mapping matched
+//   keep-first       drop every managed sub-calendar except the first one listed on the event
+//
+// Sub-calendars we don't manage are never removed.
+
+const SUBCALENDAR_POLICIES = ['keep-all', 'keep-triggering', 'keep-first'];
+const DEFAULT_SUBCALENDAR_POLICY = 'keep-all';
+
+const isSubcalendarPolicy = (policy) => SUBCALENDAR_POLICIES.includes(policy);
+
+// Returns { subcalendarIds, primaryId, removed } with IDs in Teamup's numeric form
+function applySubcalendarPolicy(policy, event, managedIds, triggeringId) {
+  const current = Array.isArray(event.subcalendar_ids) && event.subcalendar_ids.length > 0
+    ? event.subcalendar_ids
+    : [event.subcalendar_id].filter(id => id !== undefined && id !== null);
+  
+  const isManaged = (id) => managedIds.has(String(id));
+  const managed = current.filter(isManaged);
+  
+  let keep = null;
+  if (policy === 'keep-first') {
+    keep = managed[0];
+  } else if (policy === 'keep-triggering') {
+    // Fall back to the first managed ID if the trigger is no longer on the event
+    keep = managed.find(id => String(id) === String(triggeringId)) || managed[0];
+  }
+  
+  const subcalendarIds = policy === 'keep-all' || managed.length <= 1
+    ? current.slice()
+    : current.filter(id => !isManaged(id) || id === keep);
+  
+  const removed = current.filter(id => !subcalendarIds.includes(id));
+  
+  // Keep the event's primary sub-calendar unless we removed it
+  const primaryId = subcalendarIds.includes(event.subcalendar_id) ? event.subcalendar_id : subcalendarIds[0];
+  
+  return { subcalendarIds, primaryId, removed };
+}
+
+module.exports = {
+  SUBCALENDAR_POLICIES,
+  DEFAULT_SUBCALENDAR_POLICY,
+  isSubcalendarPolicy,
+  applySubcalendarPolicy
+};
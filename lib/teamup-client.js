@@ -0,0 +1,259 @@
+// Teamup API client
+// Wraps the REST API with retries on 429/5xx, a client-side rate limiter,
+// request timeouts and error classes keyed by Teamup's error.id
+
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://api.teamup.com';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Base class for every error returned by the client
+class TeamupError extends Error {
+  constructor(message, { status = null, errorId = null, title = null, data = null, method = null, url = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TeamupError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.errorId = errorId;
+    this.title = title;
+    this.data = data;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+class EventOverlappingError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'EventOverlappingError';
+  }
+}
+
+class ValidationError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ValidationError';
+  }
+}
+
+class MissingStartEndError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'MissingStartEndError';
+  }
+}
+
+class NotFoundError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NotFoundError';
+  }
+}
+
+class AuthError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'AuthError';
+  }
+}
+
+// The event changed since the version we sent was read
+class VersionConflictError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'VersionConflictError';
+  }
+}
+
+class RateLimitError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'RateLimitError';
+  }
+}
+
+// No response at all: timeouts, DNS failures, connection resets
+class NetworkError extends TeamupError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NetworkError';
+  }
+}
+
+// Teamup error.id → error class
+const ERROR_CLASSES = {
+  event_overlapping: EventOverlappingError,
+  validation_error: ValidationError,
+  event_missing_start_end_datetime: MissingStartEndError,
+  event_not_found: NotFoundError,
+  event_version_conflict: VersionConflictError,
+  not_found: NotFoundError,
+  auth_required: AuthError,
+  no_permission: AuthError,
+  invalid_api_key: AuthError
+};
+
+// Convert an axios error into the matching TeamupError subclass
+function toTeamupError(axiosError) {
+  const method = axiosError.config?.method?.toUpperCase() || null;
+  const url = axiosError.config?.url || null;
+  
+  if (!axiosError.response) {
+    return new NetworkError(`${method} ${url} failed: ${axiosError.message}`, { method, url });
+  }
+  
+  const { status, data, headers } = axiosError.response;
+  const retryAfter = Number(headers?.['retry-after']) || null;
+  const errorId = data?.error?.id || null;
+  const title = data?.error?.title || data?.error?.message || null;
+  
+  let ErrorClass = ERROR_CLASSES[errorId] || TeamupError;
+  if (ErrorClass === TeamupError && status === 429) ErrorClass = RateLimitError;
+  if (ErrorClass === TeamupError && status === 404) ErrorClass = NotFoundError;
+  if (ErrorClass === TeamupError && status === 409) ErrorClass = VersionConflictError;
+  if (ErrorClass === TeamupError && (status === 401 || status === 403)) ErrorClass = AuthError;
+  
+  const message = `${method} ${url} failed with status ${status}${errorId ? ` (${errorId})` : ''}${title ? `: ${title}` : ''}`;
+  return new ErrorClass(message, { status, errorId, title, data, method, url, retryAfter });
+}
+
+// Spaces requests at least minIntervalMs apart, in call order
+class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.minIntervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextSlot = 0;
+  }
+  
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.minIntervalMs;
+    
+    if (slot > now) await sleep(slot - now);
+  }
+}
+
+const isRetryable = (error) => {
+  return error instanceof NetworkError || error.status === 429 || (error.status >= 500 && error.status < 600);
+};
+
+class TeamupClient {
+  constructor({
+    apiKey,
+    calendarKey,
+    baseUrl = DEFAULT_BASE_URL,
+    timeoutMs = 10000,
+    maxRetries = 3,
+    retryBaseDelayMs = 500,
+    requestsPerSecond = 5,
+    onRequest = null
+  }) {
+    if (!calendarKey) throw new Error('TeamupClient requires a calendarKey');
+    if (!apiKey) throw new Error('TeamupClient requires an apiKey');
+    
+    this.calendarKey = calendarKey;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.limiter = new RateLimiter(requestsPerSecond);
+    // Called with { method, status, durationMs, errorId } after every HTTP attempt (metrics)
+    this.onRequest = onRequest;
+    this.http = axios.create({
+      baseURL: `${baseUrl.replace(/\/$/, '')}/${calendarKey}`,
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'Teamup-Token': apiKey
+      }
+    });
+  }
+  
+  // Delay before retry number `attempt` (1-based), honouring Retry-After when given
+  retryDelay(attempt, error) {
+    if (error.retryAfter > 0) return error.retryAfter * 1000;
+    
+    const exponential = this.retryBaseDelayMs * Math.pow(2, attempt - 1);
+    return exponential + Math.floor(Math.random() * this.retryBaseDelayMs);
+  }
+  
+  async request(config) {
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter.acquire();
+      const startedAt = Date.now();
+      
+      try {
+        const response = await this.http.request(config);
+        this.reportRequest(config, startedAt, { status: response.status });
+        return response.data;
+      } catch (axiosError) {
+        const error = toTeamupError(axiosError);
+        this.reportRequest(config, startedAt, { status: error.status || null, errorId: error.errorId || null });
+        
+        if (attempt >= this.maxRetries || !isRetryable(error)) {
+          throw error;
+        }
+        
+        const delay = this.retryDelay(attempt + 1, error);
+        logger.warn('Teamup request failed, retrying', { method: error.method, url: error.url, delayMs: delay, retry: attempt + 1, maxRetries: this.maxRetries, error });
+        await sleep(delay);
+      }
+    }
+  }
+  
+  reportRequest(config, startedAt, outcome) {
+    if (!this.onRequest) return;
+    
+    try {
+      this.onRequest({ method: config.method.toUpperCase(), durationMs: Date.now() - startedAt, ...outcome });
+    } catch (error) {
+      // Instrumentation must never break a request
+    }
+  }
+  
+  async getEvent(eventId) {
+    const data = await this.request({ method: 'get', url: `/events/${eventId}` });
+    return data.event;
+  }
+  
+  async updateEvent(eventId, payload) {
+    const data = await this.request({ method: 'put', url: `/events/${eventId}`, data: payload });
+    return data.event;
+  }
+  
+  // startDate/endDate are YYYY-MM-DD. subcalendarIds optionally filters the result
+  async listEvents({ startDate, endDate, subcalendarIds = [] } = {}) {
+    const params = new URLSearchParams();
+    if (startDate) params.append('startDate', startDate);
+    if (endDate) params.append('endDate', endDate);
+    subcalendarIds.forEach(id => params.append('subcalendarId[]', id));
+    
+    const data = await this.request({ method: 'get', url: `/events?${params.toString()}` });
+    return data.events || [];
+  }
+  
+  async listSubcalendars() {
+    const data = await this.request({ method: 'get', url: '/subcalendars' });
+    return data.subcalendars || [];
+  }
+  
+  // Custom field definitions of the calendar, with Teamup's built-in fields
+  async listFieldDefinitions() {
+    const data = await this.request({ method: 'get', url: '/field-definitions' });
+    return data.definitions || [];
+  }
+}
+
+module.exports = {
+  TeamupClient,
+  TeamupError,
+  EventOverlappingError,
+  ValidationError,
+  MissingStartEndError,
+  NotFoundError,
+  AuthError,
+  VersionConflictError,
+  RateLimitError,
+  NetworkError,
+  toTeamupError
+};
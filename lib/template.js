@@ -0,0 +1,178 @@
+// Small mustache-style templates for the HTML written into the managed custom field
+//
+//   {{name}}              value, HTML-escaped
+//   {{#passcode}}..{{/passcode}}   section, rendered only when the value is set
+//   {{#dialIn}}{{.}}{{/dialIn}}    section repeated for each item of a list
+//
+// Templates come from our own config and are trusted. Values (including event
+// fields like the title) are always escaped so they can't inject markup.
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([\w.]+)\s*\}\}/g;
+
+// Placeholders a template may use
+const MEETING_FIELDS = ['name', 'url', 'meetingId', 'passcode', 'dialIn', 'oneTap'];
+const EVENT_FIELDS = ['title', 'start_dt', 'end_dt', 'tz'];
+const KNOWN_FIELDS = [...MEETING_FIELDS, ...EVENT_FIELDS];
+
+const DEFAULT_TEMPLATE = [
+  '{{name}}<br>\n',
+  '<a href="{{url}}">{{url}}</a>',
+  '{{#meetingId}}<br>\nMeeting ID: {{meetingId}}{{/meetingId}}',
+  '{{#passcode}}<br>\nPasscode: {{passcode}}{{/passcode}}',
+  '{{#dialIn}}<br>\nCall in {{.}}{{/dialIn}}',
+  '{{#oneTap}}<br>\nOne tap mobile {{oneTap}}{{/oneTap}}'
+].join('');
+
+// Thrown for templates that don't parse or use unknown placeholders
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Parse a template into a tree of text, variable and section nodes
+function parseTemplate(template) {
+  if (typeof template !== 'string') {
+    throw new TemplateError('Template must be a string');
+  }
+  
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+  
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [tag, kind, name] = match;
+    const current = stack[stack.length - 1];
+    
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+    
+    if (name !== '.' && !KNOWN_FIELDS.includes(name)) {
+      throw new TemplateError(`Unknown placeholder {{${kind}${name}}}. Known: ${KNOWN_FIELDS.join(', ')}`);
+    }
+    
+    if (kind === '#') {
+      const section = { type: 'section', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (current.type !== 'section' || current.name !== name) {
+        throw new TemplateError(`Unexpected closing tag {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+  
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  
+  return root;
+}
+
+const isEmpty = (value) => {
+  return value === undefined || value === null || value === '' || value === false ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+function renderNodes(nodes, context, item) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    
+    if (node.type === 'variable') {
+      const value = node.name === '.' ? item : context[node.name];
+      return isEmpty(value) ? '' : escapeHtml(value);
+    }
+    
+    const value = context[node.name];
+    if (isEmpty(value)) return '';
+    if (Array.isArray(value)) {
+      return value.map(entry => renderNodes(node.children, context, entry)).join('');
+    }
+    return renderNodes(node.children, context, value);
+  }).join('');
+}
+
+// Build the values available to a template from a mapping, a Teamup event and the
+// meeting to link to (a provider's meeting, or the mapping's own)
+function buildTemplateContext(mapping, event = {}, meeting = mapping.meeting) {
+  meeting = meeting || {};
+  
+  return {
+    name: mapping.name,
+    url: meeting.url,
+    meetingId: meeting.meetingId,
+    passcode: meeting.passcode,
+    dialIn: meeting.dialIn,
+    oneTap: meeting.oneTap,
+    title: event.title,
+    start_dt: event.start_dt,
+    end_dt: event.end_dt,
+    tz: event.tz
+  };
+}
+
+function renderTemplate(template, context) {
+  return renderNodes(parseTemplate(template).children, context);
+}
+
+// Render the HTML for a mapping and the event being updated
+function renderMappingLink(mapping, event, meeting = mapping.meeting) {
+  return renderTemplate(mapping.template || DEFAULT_TEMPLATE, buildTemplateContext(mapping, event, meeting));
+}
+
+// Normalise HTML the way Teamup tends to store it, for comparisons only
+const normaliseHtml = (html) => {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '<br>')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// The HTML held in a custom field (values are { html } or plain strings), or null
+function fieldHtml(custom, fieldName) {
+  const value = custom && custom[fieldName];
+  if (value === undefined || value === null) return null;
+  
+  const html = typeof value === 'object' ? value.html : value;
+  return typeof html === 'string' ? html : null;
+}
+
+// True when a custom field already holds the rendered HTML
+function isFieldUpToDate(custom, fieldName, html) {
+  const currentHtml = fieldHtml(custom, fieldName);
+  if (currentHtml === null) return false;
+  
+  return normaliseHtml(currentHtml) === normaliseHtml(html);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TemplateError,
+  escapeHtml,
+  parseTemplate,
+  renderTemplate,
+  renderMappingLink,
+  fieldHtml,
+  isFieldUpToDate
+};
@@ -0,0 +1,177 @@
+// Ordered update strategies for recurring events
+//
+// Teamup rejects some otherwise-valid recurring updates (notably event_overlapping
+// on no-overlap calendars), so we try a list of payload shapes in order. Each
+// strategy declares which Teamup error IDs let the pipeline fall through to the
+// next one; any other error stops the pipeline. '*' falls through on any error.
+
+const { NetworkError, VersionConflictError } = require('./teamup-client');
+const { logger } = require('./logger');
+
+// Fields every strategy sends, plus the managed custom field. The fetched version
+// makes Teamup reject the update if someone edited the event since we read it
+const basePayload = (ctx, custom) => {
+  const payload = {
+    id: ctx.instanceId,                // Full instance ID, including any -rid- part
+    series_id: ctx.seriesId,           // As per Teamup support, the integer series ID
+    subcalendar_id: ctx.primaryId,
+    subcalendar_ids: ctx.subcalendarIds,
+    title: ctx.currentEvent.title || '',
+    start_dt: ctx.currentEvent.start_dt,
+    end_dt: ctx.currentEvent.end_dt,
+    version: ctx.currentEvent.version,
+    custom
+  };
+  
+  // Only send redit when a recurrence scope is configured for the mapping
+  if (ctx.redit) payload.redit = ctx.redit;
+  
+  return payload;
+};
+
+const addRecurrence = (payload, ctx) => {
+  if (ctx.currentEvent.rrule) {
+    payload.rrule = ctx.currentEvent.rrule;
+    payload.ristart_dt = ctx.ristartDt;
+  }
+  return payload;
+};
+
+// Full payload: every field of the fetched event, with only the managed field changed
+const fullPayload = (ctx) => {
+  const current = ctx.currentEvent;
+  const payload = {
+    ...current,
+    ...basePayload(ctx, {
+      ...(current.custom || {}),
+      [ctx.customFieldName]: { html: ctx.zoomLink }
+    })
+  };
+  
+  return addRecurrence(payload, ctx);
+};
+
+// Fields Teamup sets itself and ignores (or may reject) on a write
+const READ_ONLY_FIELDS = ['creation_dt', 'update_dt', 'delete_dt', 'readonly', 'rsstart_dt'];
+
+const STRATEGIES = {
+  // Teamup's recommended update. No redit unless the mapping sets a recurrence scope
+  full: {
+    description: 'full payload including rrule',
+    fallThroughOn: ['event_overlapping'],
+    buildPayload: fullPayload
+  },
+  
+  // Works around event_overlapping on no-overlap calendars
+  'no-rrule': {
+    description: 'full payload without rrule',
+    fallThroughOn: ['*'],
+    buildPayload: (ctx) => {
+      const payload = fullPayload(ctx);
+      delete payload.rrule;
+      return payload;
+    }
+  },
+  
+  // Every fetched field and the recurrence pattern, without the read-only metadata
+  // Teamup computes itself - nothing an editor entered is left out
+  minimal: {
+    description: 'full payload without read-only metadata',
+    fallThroughOn: [],
+    buildPayload: (ctx) => {
+      const payload = fullPayload(ctx);
+      READ_ONLY_FIELDS.forEach(field => delete payload[field]);
+      return payload;
+    }
+  },
+  
+  'redit-all': {
+    description: "full payload with redit 'all'",
+    fallThroughOn: ['event_overlapping', 'validation_error'],
+    buildPayload: (ctx) => ({ ...fullPayload(ctx), redit: 'all' })
+  },
+  
+  'redit-future': {
+    description: "full payload with redit 'future'",
+    fallThroughOn: ['event_overlapping', 'validation_error'],
+    buildPayload: (ctx) => ({ ...fullPayload(ctx), redit: 'future' })
+  }
+};
+
+const DEFAULT_STRATEGIES = ['full', 'no-rrule', 'minimal'];
+
+// Shape returned by every update function
+const updateResult = (fields = {}) => ({
+  success: false,
+  unchanged: false,
+  strategy: null,
+  attempts: [],
+  removedSubcalendarIds: [],
+  // The managed field's HTML before the update, when the event was fetched
+  previous: null,
+  // The update was rejected because the event changed after it was fetched
+  versionConflict: false,
+  error: null,
+  ...fields
+});
+
+const isKnownStrategy = (name) => Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+
+// A version conflict never falls through: every strategy would send the same stale version
+const fallsThrough = (strategy, error) => {
+  if (error instanceof VersionConflictError) return false;
+  if (strategy.fallThroughOn.includes('*')) return true;
+  return !(error instanceof NetworkError) && strategy.fallThroughOn.includes(error.errorId);
+};
+
+// Run the strategies in order until one succeeds.
+// Returns an updateResult whose attempts are [{ strategy, success, errorId, status, message }]
+async function runStrategies(client, strategyNames, ctx) {
+  const result = updateResult();
+  
+  for (let index = 0; index < strategyNames.length; index++) {
+    const name = strategyNames[index];
+    const strategy = STRATEGIES[name];
+    const payload = strategy.buildPayload(ctx);
+    
+    logger.info(`Attempt ${index + 1} (${name}): updating with ${strategy.description}`, { eventId: ctx.instanceId });
+    logger.trace(`Attempt ${index + 1} payload`, { eventId: ctx.instanceId, payload });
+    
+    try {
+      await client.updateEvent(ctx.instanceId, payload);
+      
+      logger.info(`Attempt ${index + 1} (${name}) succeeded`, { eventId: ctx.instanceId });
+      result.attempts.push({ strategy: name, success: true, errorId: null, status: null, message: null });
+      result.success = true;
+      result.strategy = name;
+      return result;
+    } catch (error) {
+      logger.warn(`Attempt ${index + 1} (${name}) failed`, { eventId: ctx.instanceId, error });
+      result.attempts.push({
+        strategy: name,
+        success: false,
+        errorId: error.errorId || null,
+        status: error.status || null,
+        message: error.message
+      });
+      
+      if (!fallsThrough(strategy, error)) {
+        logger.info(`Error does not fall through from ${name}, stopping`, { eventId: ctx.instanceId, errorId: error.errorId || error.name });
+        result.error = error.message;
+        result.versionConflict = error instanceof VersionConflictError;
+        return result;
+      }
+    }
+  }
+  
+  result.error = 'All strategies failed';
+  return result;
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGIES,
+  updateResult,
+  isKnownStrategy,
+  runStrategies
+};
@@ -0,0 +1,104 @@
+// Teamup webhook signature verification
+// Teamup signs every webhook with HMAC-SHA256 over the raw request body
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Compute the hex HMAC for a raw body
+const computeSignature = (rawBody, secret) => {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+// Constant-time comparison of two hex strings
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a, 'utf8');
+  const bufB = Buffer.from(b, 'utf8');
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Convert a header/body timestamp (unix seconds, milliseconds or ISO string) to unix seconds
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    // Anything this large is in milliseconds
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+  
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+};
+
+// Verify a webhook request. Returns { valid, reason }
+function verifyWebhookSignature({ rawBody, signature, timestamp, secret, toleranceSeconds = 300, now = Date.now() }) {
+  if (!rawBody) {
+    return { valid: false, reason: 'Missing request body' };
+  }
+  
+  if (!signature) {
+    return { valid: false, reason: 'Missing Teamup-Signature header' };
+  }
+  
+  // Accept both "<hex>" and "sha256=<hex>"
+  const provided = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+  const expected = computeSignature(rawBody, secret);
+  
+  if (!safeEqual(provided, expected)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+  
+  // Reject replays outside the tolerance window
+  const timestampSeconds = parseTimestamp(timestamp);
+  if (timestampSeconds === null) {
+    return { valid: false, reason: 'Missing or invalid timestamp' };
+  }
+  
+  const ageSeconds = Math.abs(Math.floor(now / 1000) - timestampSeconds);
+  if (ageSeconds > toleranceSeconds) {
+    return { valid: false, reason: `Timestamp outside tolerance (${ageSeconds}s > ${toleranceSeconds}s)` };
+  }
+  
+  return { valid: true, reason: null };
+}
+
+// Express middleware factory. Requires req.rawBody (see bodyParser verify option).
+// `secret` may be a function of the request, for deployments with a secret per calendar.
+// Without a secret every webhook is rejected, unless verification is turned off (`enabled`)
+function requireWebhookSignature({ secret: secretOption, toleranceSeconds, enabled = true }) {
+  return (req, res, next) => {
+    if (!enabled) return next();
+    
+    const secret = typeof secretOption === 'function' ? secretOption(req) : secretOption;
+    
+    if (!secret) {
+      logger.warn('Rejected webhook', { reason: 'No webhook secret configured' });
+      res.status(401).send('Webhook secret not configured');
+      return;
+    }
+    
+    const result = verifyWebhookSignature({
+      rawBody: req.rawBody,
+      signature: req.get('Teamup-Signature'),
+      // The body timestamp is covered by the signature; the header is a fallback
+      timestamp: (req.body && req.body.timestamp) || req.get('Teamup-Timestamp'),
+      secret,
+      toleranceSeconds
+    });
+    
+    if (!result.valid) {
+      logger.warn('Rejected webhook', { reason: result.reason });
+      res.status(401).send('Invalid webhook signature');
+      return;
+    }
+    
+    next();
+  };
+}
+
+module.exports = {
+  computeSignature,
+  verifyWebhookSignature,
+  requireWebhookSignature
+};
@@ -1,9 +1,38 @@
 // Teamup Webhook Handler
 // For Express.js on Vercel, Netlify, etc.
 
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
-const axios = require('axios');
+const { requireWebhookSignature } = require('./lib/webhook-signature');
+const { ConfigError, loadCalendars } = require('./lib/config');
+const { renderMappingLink, fieldHtml, isFieldUpToDate } = require('./lib/template');
+const { createDedupeStore, dispatchKey } = require('./lib/dedupe-store');
+const { DEFAULT_STRATEGIES, updateResult, runStrategies } = require('./lib/update-strategies');
+const { parseEventId, resolveRecurrenceTarget } = require('./lib/recurrence');
+const { eventSubcalendarIds, findMapping } = require('./lib/rules');
+const { DEFAULT_SUBCALENDAR_POLICY, applySubcalendarPolicy } = require('./lib/subcalendar-policy');
+const { findOwnedFields } = require('./lib/managed-fields');
+const { JobQueue, createQueueBackend } = require('./lib/job-queue');
+const { reconcile } = require('./lib/reconcile');
+const { requireBearerToken, requireSession } = require('./lib/auth');
+const { createDryRunClient } = require('./lib/dry-run-client');
+const { createAuditStore } = require('./lib/audit-log');
+const { mappingSummary, renderAdminPage } = require('./lib/admin');
+const { createMetrics } = require('./lib/metrics');
+const { PROVIDER_ENV, createMeetingProviders, eventMeetingDetails, changedMeetingDetails } = require('./lib/meeting-providers');
+const { createMeetingStore, meetingKey, isSeriesMeetingKey, previousMeetingKey, eventMeetingKeys } = require('./lib/meeting-store');
+const { createNotifier } = require('./lib/notifier');
+const { buildCalendar, htmlToText } = require('./lib/ics');
+const { checkCalendar } = require('./lib/calendar-check');
+const { logger, withCorrelationId, currentCorrelationId } = require('./lib/logger');
+const {
+  TeamupClient,
+  ValidationError,
+  MissingStartEndError,
+  NetworkError,
+  VersionConflictError
+} = require('./lib/teamup-client');
 const app = express();
 
 // Safely get environment variables
@@ -11,99 +40,211 @@ const getEnv = (key, defaultValue = '') => {
   try {
     return process.env[key] || defaultValue;
   } catch (error) {
-    console.error(`Error accessing environment variable ${key}:`, error);
+    logger.error(`Error accessing environment variable ${key}`, { error });
     return defaultValue;
   }
 };
 
-// Configurable logging
-const ENABLE_LOGGING = getEnv('ENABLE_LOGGING') === 'true'; // Disabled by default
-const LOG_LEVEL = getEnv('LOG_LEVEL', 'info'); // Default to 'info'
-
-// Simple logging utility with error handling
-const logger = {
-  levels: {
-    error: 0,
-    warn: 1,
-    info: 2,
-    debug: 3,
-    trace: 4
-  },
-  
-  shouldLog(level) {
-    try {
-      if (!ENABLE_LOGGING) return false;
-      return this.levels[level] <= this.levels[LOG_LEVEL];
-    } catch (error) {
-      // Fail silently and return false if there's an error
-      return false;
-    }
-  },
-  
-  error(...args) {
-    try {
-      if (this.shouldLog('error')) console.error('❌', ...args);
-    } catch (error) {
-      // If logger fails, try direct console
-      console.error('Logger error:', error);
-    }
-  },
-  
-  warn(...args) {
-    try {
-      if (this.shouldLog('warn')) console.warn('⚠️', ...args);
-    } catch (error) {
-      // Silent fail
-    }
-  },
-  
-  info(...args) {
-    try {
-      if (this.shouldLog('info')) console.log('ℹ️', ...args);
-    } catch (error) {
-      // Silent fail
-    }
-  },
-  
-  debug(...args) {
-    try {
-      if (this.shouldLog('debug')) console.log('🔍', ...args);
-    } catch (error) {
-      // Silent fail
-    }
-  },
-  
-  trace(...args) {
-    try {
-      if (this.shouldLog('trace')) console.log('📋', ...args);
-    } catch (error) {
-      // Silent fail
-    }
-  }
+// Maximum age (in seconds) of a webhook before it is treated as a replay
+const WEBHOOK_TOLERANCE_SECONDS = Number(getEnv('WEBHOOK_TOLERANCE_SECONDS', '300'));
+// Webhook signatures are only skipped when this is explicitly "false", e.g. for local testing
+const WEBHOOK_VERIFY = getEnv('TEAMUP_WEBHOOK_VERIFY', 'true') !== 'false';
+// Shadow mode: match and build payloads for every webhook but never write to Teamup
+const DRY_RUN = getEnv('DRY_RUN') === 'true';
+// Token for POST /reconcile. Vercel cron sends CRON_SECRET as a bearer token
+const RECONCILE_TOKEN = getEnv('RECONCILE_TOKEN') || getEnv('CRON_SECRET');
+// Token for GET /jobs/run, which runs queued jobs on serverless platforms
+const JOBS_TOKEN = getEnv('JOBS_TOKEN') || getEnv('CRON_SECRET');
+// How long one /jobs/run request keeps starting jobs - keep it below the function's time limit
+const JOBS_RUN_BUDGET_MS = Number(getEnv('JOBS_RUN_BUDGET_MS', '20000'));
+// Token for the admin page and history routes. Audit entries contain full links, passcodes included
+const ADMIN_TOKEN = getEnv('ADMIN_TOKEN');
+
+// Optional bearer token for GET /metrics. Without it the endpoint is public
+const METRICS_TOKEN = getEnv('METRICS_TOKEN');
+
+// Optional token for the iCalendar feeds, passed as ?token= since calendar apps can't send
+// headers. Without it the feeds are public
+const FEED_TOKEN = getEnv('FEED_TOKEN');
+// Days before and after today a feed covers, and how long a built feed is served from cache
+const FEED_PAST_DAYS = Number(getEnv('FEED_PAST_DAYS', '30'));
+const FEED_FUTURE_DAYS = Number(getEnv('FEED_FUTURE_DAYS', '180'));
+const FEED_CACHE_SECONDS = Number(getEnv('FEED_CACHE_SECONDS', '300'));
+
+// Prometheus counters and histograms for GET /metrics
+const metrics = createMetrics();
+
+// Teamup API client settings shared by every calendar
+const TEAMUP_CLIENT_OPTIONS = {
+  // Point at a local stand-in such as dev/fake-teamup.js to run without the real API
+  baseUrl: getEnv('TEAMUP_BASE_URL', 'https://api.teamup.com'),
+  timeoutMs: Number(getEnv('TEAMUP_TIMEOUT_MS', '10000')),
+  maxRetries: Number(getEnv('TEAMUP_MAX_RETRIES', '3')),
+  requestsPerSecond: Number(getEnv('TEAMUP_REQUESTS_PER_SECOND', '5')),
+  onRequest: (request) => metrics.apiRequest(request)
 };
 
-// Your Teamup API key
-const TEAMUP_API_KEY = getEnv('TEAMUP_API_KEY');
-// Your calendar ID
-const CALENDAR_ID = getEnv('CALENDAR_ID');
-
-// Map of sub-calendar IDs to specific Zoom links
-const SUB_CALENDAR_ZOOM_LINKS = {
-  '14098383': 'New Coffee Shop: https://zoom.us/j/123456789',
-  '14098359': 'Integrity Group AKA Saturday Morning Workshop<br>\n<a href="https://us02web.zoom.us/j/82971629914?pwd=ajZBSkI4bmZjWVZpSXBmenJlMXhUUT09">https://us02web.zoom.us/j/82971629914?pwd=ajZBSkI4bmZjWVZpSXBmenJlMXhUUT09</a><br>\nMeeting ID: 829 7162 9914<br>\nPasscode: xs11Aw<br>\nCall in +13462487799<br>\nPassword: 836591<br>\nHost code: 983273<br>\nOne tap mobile +13462487799,82971629914,#,#,,836591# US (Houston)',
-  '14098366': 'DJ Zoom: https://zoom.us/j/123456789',
-  '14156325': 'BC Powder: https://zoom.us/j/123456789',
-  '14098372': 'Power Lunch: https://zoom.us/j/123456789',
-  '14098358': 'SWeT Zoom: https://zoom.us/j/123456789',
-  '14132335': 'Soul Train: https://zoom.us/j/123456789',
-  '14098400': 'Sober Lounge: https://zoom.us/j/123456789',
+// Every calendar this deployment serves, keyed by Teamup calendar key, from zoom-links.json
+// or ZOOM_LINKS_CONFIG_BASE64. Each has its own mapping config, webhook secret and API client
+// (null until both a calendar key and an API key are set - CALENDAR_ID and TEAMUP_API_KEY
+// for a single-calendar config). Throws a ConfigError listing every problem if the config
+// is missing or invalid
+const calendars = new Map(loadCalendars().map(calendar => [calendar.calendarKey, {
+  ...calendar,
+  client: calendar.calendarKey && calendar.apiKey
+    ? new TeamupClient({ apiKey: calendar.apiKey, calendarKey: calendar.calendarKey, ...TEAMUP_CLIENT_OPTIONS })
+    : null
+}]));
+
+// The calendar with this key. A single-calendar deployment serves every key, as before
+function findCalendar(calendarKey) {
+  if (calendarKey && calendars.has(calendarKey)) return calendars.get(calendarKey);
+  return calendars.size === 1 ? calendars.values().next().value : null;
+}
+
+const MISSING_CLIENT_ERROR = 'CALENDAR_ID and TEAMUP_API_KEY (or the calendar\'s apiKey) must be set';
+
+// Times an update is re-fetched and re-applied after Teamup rejects its version because
+// someone edited the event in the meantime
+const VERSION_CONFLICT_RETRIES = Number(getEnv('VERSION_CONFLICT_RETRIES', '3'));
+
+// Providers that create a meeting per event (Zoom, Google Meet, Jitsi), from their
+// credentials in the environment, and the meetings they have created
+const meetingProviders = createMeetingProviders(process.env);
+const MEETING_STORE = getEnv('MEETING_STORE', 'memory');
+const meetingStore = createMeetingStore({
+  type: MEETING_STORE,
+  filePath: getEnv('MEETING_STORE_FILE')
+});
+
+// Refuse to start when a mapping uses a provider whose credentials are missing, or one
+// that creates meetings while created meetings would be forgotten on restart - each
+// restart would then create a new meeting, overwrite the link and orphan the old one
+const unavailableProviders = [];
+const unstoredProviders = [];
+calendars.forEach(calendar => calendar.config.mappings.forEach((mapping, index) => {
+  const label = `${calendar.calendarKey || 'calendar'} mappings[${index}]: provider ${mapping.provider.type}`;
+  if (!meetingProviders[mapping.provider.type]) {
+    unavailableProviders.push(`${label} needs ${PROVIDER_ENV[mapping.provider.type]}`);
+  }
+  if (mapping.provider.type !== 'static' && MEETING_STORE === 'memory') {
+    unstoredProviders.push(`${label} needs MEETING_STORE=file and MEETING_STORE_FILE`);
+  }
+}));
+if (unavailableProviders.length > 0) {
+  throw new ConfigError('Meeting provider credentials missing', unavailableProviders);
+}
+if (unstoredProviders.length > 0) {
+  throw new ConfigError('Meeting providers need a persistent meeting store', unstoredProviders);
+}
+
+// Repeated deliveries of the same dispatch within this window are ignored
+const DEDUPE_WINDOW_SECONDS = Number(getEnv('DEDUPE_WINDOW_SECONDS', '600'));
+const dedupeStore = createDedupeStore({
+  type: getEnv('DEDUPE_STORE', 'memory'),
+  filePath: getEnv('DEDUPE_FILE'),
+  redisUrl: getEnv('REDIS_URL')
+});
+
+// Serverless functions can be frozen as soon as the response is sent, so no worker can run
+// there. With a redis queue shared by every instance, webhooks are still queued and
+// answered at once, and GET /jobs/run runs the jobs on a cron schedule. Without one,
+// JOB_MODE=inline processes each dispatch item before answering
+const SERVERLESS = !!(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+const JOB_QUEUE = getEnv('JOB_QUEUE', 'memory');
+const JOB_MODE = getEnv('JOB_MODE', SERVERLESS && JOB_QUEUE !== 'redis' ? 'inline' : 'queue');
+if (JOB_MODE !== 'inline' && JOB_MODE !== 'queue') {
+  throw new ConfigError(`Unknown JOB_MODE "${JOB_MODE}". Use inline or queue`);
+}
+if (JOB_MODE === 'queue' && SERVERLESS && JOB_QUEUE !== 'redis') {
+  throw new ConfigError('JOB_MODE=queue on a serverless platform needs JOB_QUEUE=redis', [
+    'Each serverless instance has its own memory and disk, so jobs queued there may never run - set JOB_QUEUE=redis and REDIS_URL, or use JOB_MODE=inline'
+  ]);
+}
+
+// In queue mode dispatch items are processed by a worker after the webhook has been
+// acknowledged - or, on serverless, by GET /jobs/run
+const jobQueue = new JobQueue({
+  backend: createQueueBackend({
+    type: JOB_QUEUE,
+    filePath: getEnv('JOB_QUEUE_FILE'),
+    redisUrl: getEnv('REDIS_URL')
+  }),
+  // Jobs keep the correlation ID of the webhook that queued them
+  processor: (payload) => withCorrelationId(payload.correlationId, () => processDispatchItem(payload, { source: payload.source })),
+  maxAttempts: Number(getEnv('JOB_MAX_ATTEMPTS', '3')),
+  retryDelayMs: Number(getEnv('JOB_RETRY_DELAY_MS', '30000')),
+  worker: !SERVERLESS
+});
+
+// Every processed dispatch item is recorded here, with the managed field before and after.
+// A long-lived server keeps the history in a file; a serverless instance's files don't last
+const auditStore = createAuditStore({
+  type: getEnv('AUDIT_STORE', SERVERLESS ? 'memory' : 'file'),
+  filePath: getEnv('AUDIT_FILE', './audit.jsonl'),
+  maxEntries: Number(getEnv('AUDIT_MAX_ENTRIES', '1000'))
+});
+
+// Slack, email or webhook notifications when a link can't be applied, batched and de-duplicated
+const notifier = createNotifier(process.env);
+
+// Startup problems are sent at once on a long-lived server. A serverless platform starts
+// an instance on every cold start, each with its own dedupe window, so there they are
+// only logged
+const notifyAtStartup = (failure) => {
+  if (SERVERLESS || !notifier.notify(failure)) return;
+  notifier.flush().catch(error => logger.error('Notification flush failed', { error }));
 };
 
-// Configure the name of the custom field to update
-const CUSTOM_FIELD_NAME = 'zoom_link2'; // Match the existing field name in your Teamup calendar
+// Nothing can be written to a calendar without its keys - tell someone now rather than
+// when the next meeting starts without a link
+calendars.forEach(calendar => {
+  if (!calendar.client) notifyAtStartup({ calendar: calendar.calendarKey || null, error: MISSING_CLIENT_ERROR });
+});
+
+// Check the mappings against the live calendar, so a mistyped sub-calendar ID or custom
+// field shows up now instead of as events that never get a link. Doesn't hold up startup
+if (getEnv('CALENDAR_CHECK', 'true') !== 'false') {
+  calendars.forEach(calendar => {
+    if (!calendar.client) return;
+    
+    checkCalendar(calendar).then(report => {
+      if (report.errors.length > 0) {
+        logger.error('Mapping config does not match the calendar', { calendar: calendar.calendarKey, errors: report.errors });
+        report.errors.forEach(error => notifyAtStartup({ calendar: calendar.calendarKey, error }));
+      }
+      if (report.warnings.length > 0) {
+        logger.warn('Mapping config warnings', { calendar: calendar.calendarKey, warnings: report.warnings });
+      }
+      if (report.unmapped.length > 0) {
+        logger.info('Sub-calendars without a mapping', { calendar: calendar.calendarKey, subcalendars: report.unmapped.map(subcalendar => `${subcalendar.id} ${subcalendar.name}`) });
+      }
+    }).catch(error => logger.warn('Could not check the mapping config against Teamup', { calendar: calendar.calendarKey, error }));
+  });
+}
 
-// Middleware to parse JSON request body
-app.use(bodyParser.json());
+if (DRY_RUN) {
+  logger.warn('DRY_RUN is enabled - no changes will be written to Teamup');
+}
+
+if (!WEBHOOK_VERIFY) {
+  logger.warn('TEAMUP_WEBHOOK_VERIFY=false - webhook signatures will NOT be verified');
+} else {
+  calendars.forEach(calendar => {
+    if (!calendar.webhookSecret) {
+      logger.warn('No webhook secret set (TEAMUP_WEBHOOK_SECRET or the calendar\'s webhookSecret) - its webhooks will be rejected with 401', {
+        calendar: calendar.calendarKey || null
+      });
+    }
+  });
+}
+
+// Middleware to parse JSON request body, keeping the raw bytes for signature checks
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -111,522 +252,1221 @@ app.get('/', (req, res) => {
 });
 
 // Health check endpoint
-app.get('/webhook', (req, res) => {
+app.get(['/webhook', '/webhook/:calendarKey'], (req, res) => {
   res.status(200).send('Webhook endpoint is ready to receive events');
 });
 
-// Endpoint to receive Teamup webhooks
-app.post('/webhook', async (req, res) => {
-  // Always log webhook receipt
-  console.log('🔔 Webhook received at:', new Date().toISOString());
+// Endpoint to receive Teamup webhooks. The calendar comes from the path (/webhook/:calendarKey)
+// or the payload's calendar key, and its own secret verifies the signature
+app.post(['/webhook', '/webhook/:calendarKey'], resolveWebhookCalendar, requireWebhookSignature({
+  secret: (req) => req.calendar.webhookSecret,
+  toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+  enabled: WEBHOOK_VERIFY
+}), (req, res) => withCorrelationId(req.get('X-Correlation-Id'), () => handleWebhook(req, res)));
+
+function resolveWebhookCalendar(req, res, next) {
+  const calendarKey = req.params.calendarKey || (req.body && req.body.calendar);
+  req.calendar = findCalendar(calendarKey);
+  
+  if (!req.calendar) {
+    logger.warn('Webhook for unknown calendar', { calendar: calendarKey || null });
+    res.status(404).send('Unknown calendar');
+    return;
+  }
+  
+  next();
+}
+
+// Every line logged while handling a webhook (and the jobs it queues) carries one correlation ID
+async function handleWebhook(req, res) {
+  const { calendar } = req;
+  const correlationId = currentCorrelationId();
+  res.set('X-Correlation-Id', correlationId);
   
   try {
     const webhookData = req.body;
     
-    // Log the payload summary
-    console.log(`Webhook ID: ${webhookData.id || 'undefined'}, Calendar: ${webhookData.calendar || 'undefined'}`);
+    logger.info('Webhook received', { webhookId: webhookData.id || null, calendar: calendar.calendarKey || null });
     
     // Check if dispatch array exists
     if (!webhookData.dispatch || !Array.isArray(webhookData.dispatch) || webhookData.dispatch.length === 0) {
-      console.log('⚠️ No dispatch array found in webhook payload');
+      logger.warn('No dispatch array found in webhook payload');
       res.status(200).send('Webhook received, but no dispatch array found');
       return;
     }
     
-    // Process each dispatch item (usually just one)
+    // Dry runs are processed inline so the response can show what would be written
+    const dryRun = DRY_RUN || req.query.dryRun === 'true' || req.get('X-Dry-Run') === 'true';
+    const dryRunResults = [];
+    
+    // Queue (or, in inline mode, process) each dispatch item - usually just one
+    let handled = 0;
+    let failed = 0;
     for (const dispatchItem of webhookData.dispatch) {
       const trigger = dispatchItem.trigger;
       const eventData = dispatchItem.event;
       
-      console.log(`Trigger: ${trigger || 'undefined'}, Event ID: ${eventData?.id || 'undefined'}`);
+      // Dry runs are not counted
+      if (!dryRun) metrics.webhookReceived(trigger);
+      logger.info('Dispatch item received', { trigger: trigger || null, eventId: eventData?.id || null });
       
       // Check if event data exists
       if (!eventData) {
-        console.log('⚠️ No event data found in dispatch item');
+        logger.warn('No event data found in dispatch item');
         continue;
       }
       
-      // Log if this is a recurring event
-      const isRecurring = !!eventData.series_id || !!eventData.rrule;
-      if (isRecurring) {
-        console.log(`📅 Recurring event detected. Series ID: ${eventData.series_id || 'N/A'}, RRULE: ${eventData.rrule || 'N/A'}`);
+      // Dry runs don't count as deliveries, so they never suppress the real one
+      if (dryRun) {
+        dryRunResults.push(await dryRunDispatchItem(dispatchItem, calendar));
+        continue;
       }
       
-      // Check if this is an event creation or modification
-      if (trigger === 'event.created' || trigger === 'event.modified') {
-        console.log('✓ Event trigger matches criteria (created/modified)');
-        
-        const eventId = eventData.id;
-        const subCalendarId = eventData.subcalendar_id;
-        
-        console.log(`Event ID: ${eventId}, Sub-calendar ID: ${subCalendarId}`);
-        
-        // Check if subcalendar_id exists
-        if (!subCalendarId) {
-          console.log('⚠️ No subcalendar_id found in event');
-          continue;
-        }
-        
-        // Convert subcalendar_id to string for consistent comparison
-        const subCalendarIdStr = String(subCalendarId);
-        
-        // Get the appropriate Zoom link for this sub-calendar
-        const zoomLink = SUB_CALENDAR_ZOOM_LINKS[subCalendarIdStr];
-        
-        // Check if we have a Zoom link for this sub-calendar
-        if (zoomLink) {
-          console.log(`Found Zoom link for sub-calendar ${subCalendarIdStr}: ${zoomLink}`);
-          
-          try {
-            let updateResult;
-            
-            if (isRecurring) {
-              // For recurring events, we'll use the event data from the webhook
-              updateResult = await updateRecurringEventZoomLink(eventData, zoomLink);
-            } else {
-              // For regular events, use the normal approach
-              updateResult = await updateEventZoomLink(eventId, zoomLink);
-            }
-            
-            if (updateResult) {
-              console.log(`✅ Successfully updated event ${eventId} with Zoom link`);
-            } else {
-              console.log(`❌ Failed to update event ${eventId} with Zoom link`);
-            }
-          } catch (error) {
-            console.error(`❌ Error updating event ${eventId}:`, error.message);
-          }
+      // Skip redeliveries of a dispatch we've already handled
+      const deliveryKey = dispatchKey(webhookData, dispatchItem);
+      if (!(await dedupeStore.markSeen(deliveryKey, DEDUPE_WINDOW_SECONDS))) {
+        logger.info('Duplicate delivery, skipping', { deliveryKey });
+        continue;
+      }
+      
+      const payload = {
+        webhookId: webhookData.id || null,
+        calendar: calendar.calendarKey,
+        dispatchItem,
+        correlationId
+      };
+      
+      try {
+        if (JOB_MODE === 'inline') {
+          await processDispatchItem(payload, { source: 'webhook' });
         } else {
-          console.log(`⚠️ No Zoom link configured for sub-calendar ${subCalendarIdStr}`);
-          console.log('Available sub-calendar IDs:', Object.keys(SUB_CALENDAR_ZOOM_LINKS).join(', '));
+          const job = await jobQueue.enqueue(payload);
+          logger.info('Queued job', { jobId: job.id, eventId: eventData.id });
         }
-        
-        // Log event fields for detailed debugging
-        console.log('🔍 Event details:');
-        console.log(`  Title: ${eventData.title || 'undefined'}`);
-        console.log(`  Start: ${eventData.start_dt || 'undefined'}`);
-        console.log(`  Custom fields: ${JSON.stringify(eventData.custom || {})}`);
-      } else {
-        console.log(`⚠️ Event trigger ${trigger} does not match criteria (created/modified)`);
+        handled++;
+      } catch (error) {
+        // Forget the delivery so Teamup's redelivery isn't skipped as a duplicate
+        logger.error('Dispatch item could not be handled', { eventId: eventData.id, jobMode: JOB_MODE, error });
+        await dedupeStore.forget(deliveryKey);
+        failed++;
       }
     }
     
-    // Always return success to acknowledge receipt
-    res.status(200).send('Webhook received');
+    // A serverless function can be frozen once it has answered, so a batch waiting on a
+    // timer might never go out - send it first
+    if (SERVERLESS) await notifier.flush();
+    
+    if (dryRun) {
+      res.status(200).json({ dryRun: true, results: dryRunResults });
+      return;
+    }
+    
+    // A 500 makes Teamup redeliver; items that did go through are skipped as duplicates then
+    if (failed > 0) {
+      res.status(500).send(`Webhook could not be handled: ${failed} dispatch item(s) failed`);
+      return;
+    }
+    
+    res.status(200).send(JOB_MODE === 'inline'
+      ? `Webhook received, ${handled} dispatch item(s) processed`
+      : `Webhook received, ${handled} job(s) queued`);
   } catch (error) {
-    console.error('❌ Error processing webhook:', error.message || error);
+    logger.error('Error processing webhook', { error });
     
-    // Still return 200 to acknowledge receipt
-    res.status(200).send('Webhook received with errors');
+    // Nothing was queued for the failed item, so let Teamup redeliver it
+    res.status(500).send('Webhook could not be queued');
+  }
+}
+
+// Process a dispatch item without writing anything.
+// Returns the outcome plus every PUT payload that would have been sent
+async function dryRunDispatchItem(dispatchItem, calendar) {
+  const eventId = dispatchItem.event.id;
+  logger.info('Dry run', { eventId });
+  
+  if (!calendar.client) {
+    return { eventId, trigger: dispatchItem.trigger, status: 'failed', error: MISSING_CLIENT_ERROR, writes: [] };
+  }
+  
+  const client = createDryRunClient(calendar.client);
+  
+  try {
+    const outcome = await processDispatchItem({ dispatchItem, calendar: calendar.calendarKey }, { client, dryRun: true });
+    return {
+      trigger: dispatchItem.trigger,
+      ...outcome,
+      strategy: outcome.result ? outcome.result.strategy : null,
+      writes: client.writes
+    };
+  } catch (error) {
+    return { eventId, trigger: dispatchItem.trigger, status: 'failed', error: error.message, writes: client.writes };
+  }
+}
+
+// Sweep the calendar and fix events whose Zoom link is missing or out of date.
+// GET is accepted too because Vercel cron jobs send GET requests.
+// With several calendars and no ?calendar=, every calendar is swept and { reports } returned
+app.all('/reconcile', requireBearerToken(RECONCILE_TOKEN, 'Reconciliation'), async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).send('Method not allowed');
+    return;
+  }
+  
+  const options = { ...req.query, ...(req.body || {}) };
+  const sweep = {
+    startDate: options.start,
+    endDate: options.end,
+    dryRun: options.dryRun === true || options.dryRun === 'true'
+  };
+  
+  try {
+    const report = options.calendar || calendars.size === 1
+      ? await runReconciliation({ ...sweep, calendarKey: options.calendar })
+      : { reports: await runReconciliationForAll(sweep) };
+    // A serverless cron run sends its notifications before it answers, like a webhook
+    if (SERVERLESS) await notifier.flush();
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error('Reconciliation failed', { error });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Function to update the Zoom link for a regular event
-async function updateEventZoomLink(eventId, zoomLink) {
+// Run the queued jobs that are due: new ones, and retries whose delay has passed. This is
+// the queue's worker on serverless platforms, called by a cron job (GET) or any scheduler
+app.all('/jobs/run', requireBearerToken(JOBS_TOKEN, 'Job runs'), async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).send('Method not allowed');
+    return;
+  }
+  
+  try {
+    const ran = await jobQueue.runDue({ budgetMs: JOBS_RUN_BUDGET_MS });
+    if (SERVERLESS) await notifier.flush();
+    res.status(200).json({ ran, ...(await jobQueue.stats()) });
+  } catch (error) {
+    logger.error('Running queued jobs failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a reconciliation sweep of one calendar, fixing events through the same path as webhooks.
+// calendarKey may be left out when the deployment serves a single calendar
+async function runReconciliation({ calendarKey, startDate, endDate, dryRun = false } = {}) {
+  const calendar = findCalendar(calendarKey);
+  if (!calendar) {
+    throw new Error(calendarKey ? `Unknown calendar ${calendarKey}` : 'Several calendars are configured - choose one');
+  }
+  
+  if (!calendar.client) {
+    throw new Error(MISSING_CLIENT_ERROR);
+  }
+  
+  logger.info('Reconciling', { calendar: calendar.calendarKey, startDate: startDate || null, endDate: endDate || null, dryRun });
+  
+  const report = await reconcile({
+    client: calendar.client,
+    config: calendar.config,
+    startDate,
+    endDate,
+    dryRun,
+    meetingFor: (mapping, event) => storedMeeting(calendar, mapping, event),
+    applyFix: (event) => processDispatchItem({
+      dispatchItem: { trigger: 'event.modified', event },
+      calendar: calendar.calendarKey
+    }, { source: 'reconcile' })
+  });
+  
+  logger.info('Reconciliation done', { calendar: calendar.calendarKey, checked: report.checked, changes: report.changes.length });
+  return { calendar: calendar.calendarKey, ...report };
+}
+
+// Sweep every calendar in turn. A calendar that can't be swept reports its error
+async function runReconciliationForAll(options = {}) {
+  const reports = [];
+  
+  for (const calendarKey of calendars.keys()) {
+    try {
+      reports.push(await runReconciliation({ ...options, calendarKey }));
+    } catch (error) {
+      logger.error('Reconciliation failed', { calendar: calendarKey, error });
+      reports.push({ calendar: calendarKey, error: error.message });
+    }
+  }
+  
+  return reports;
+}
+
+// Prometheus scrape endpoint
+app.get('/metrics', METRICS_TOKEN ? requireBearerToken(METRICS_TOKEN, 'Metrics') : (req, res, next) => next(), (req, res) => {
+  res.status(200).type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Admin page for volunteers: mapping, recent deliveries, failures and queue depth
+app.get('/admin', requireSession(ADMIN_TOKEN, 'Admin'), async (req, res) => {
+  try {
+    const notice = req.query.rerun ? `Event ${req.query.rerun} was ${JOB_MODE === 'inline' ? 'run' : 'queued to run'} again` : '';
+    res.status(200).type('html').send(renderAdminPage(await adminStatus(), { notice }));
+  } catch (error) {
+    logger.error('Admin page failed', { error });
+    res.status(500).send('Admin page could not be rendered');
+  }
+});
+
+// The same information as JSON
+app.get('/admin/api/status', requireBearerToken(ADMIN_TOKEN, 'Admin'), async (req, res) => {
+  try {
+    res.status(200).json(await adminStatus());
+  } catch (error) {
+    logger.error('Admin status failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run an event: fetch it fresh from Teamup and queue it like a modification
+app.post('/admin/api/events/:eventId/rerun', requireBearerToken(ADMIN_TOKEN, 'Admin'), async (req, res) => {
+  try {
+    const job = await rerunEvent(req.params.eventId, req.query.calendar);
+    if (job) {
+      res.status(202).json({ queued: true, jobId: job.id, eventId: req.params.eventId });
+    } else {
+      res.status(200).json({ processed: true, eventId: req.params.eventId });
+    }
+  } catch (error) {
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// The admin page's re-run button posts here and is sent back to the page
+app.post('/admin/events/:eventId/rerun', requireSession(ADMIN_TOKEN, 'Admin'), async (req, res) => {
   try {
-    console.log(`Attempting to update event ${eventId} with Zoom link...`);
+    await rerunEvent(req.params.eventId, req.query.calendar);
+    res.redirect(303, `../../../admin?rerun=${encodeURIComponent(req.params.eventId)}`);
+  } catch (error) {
+    res.status(error.status === 404 ? 404 : 500).send(`Could not re-run event: ${error.message}`);
+  }
+});
+
+async function adminStatus() {
+  const [queue, deadLetters, recentDeliveries, failedUpdates] = await Promise.all([
+    jobQueue.stats(),
+    jobQueue.listDeadLetters(),
+    auditStore.query({ limit: 50 }),
+    auditStore.query({ status: 'failed', limit: 50 })
+  ]);
+  
+  // Field values are left out - they hold passcodes and the page doesn't need them
+  const withoutValues = ({ before, after, ...entry }) => entry;
+  
+  return {
+    dryRun: DRY_RUN,
+    calendars: Array.from(calendars.values()).map(calendar => ({
+      calendarKey: calendar.calendarKey || null,
+      configured: !!calendar.client,
+      webhookSecret: !!calendar.webhookSecret,
+      mappings: mappingSummary(calendar.config)
+    })),
+    queue,
+    deadLetters: deadLetters.map(job => {
+      const { trigger, event = {} } = job.payload.dispatchItem || {};
+      return {
+        id: job.id,
+        calendar: job.payload.calendar || null,
+        eventId: event.id,
+        title: event.title || null,
+        trigger,
+        attempts: job.attempts,
+        failedAt: job.failedAt,
+        lastError: job.errors.length > 0 ? job.errors[job.errors.length - 1].message : null
+      };
+    }),
+    recentDeliveries: recentDeliveries.map(withoutValues),
+    failedUpdates: failedUpdates.map(withoutValues)
+  };
+}
+
+// Queue a fresh copy of an event for processing and drop its dead letters. In inline mode
+// the event is processed straight away and null is returned instead of the job
+async function rerunEvent(eventId, calendarKey) {
+  const calendar = findCalendar(calendarKey);
+  if (!calendar || !calendar.client) {
+    throw new Error(calendar ? MISSING_CLIENT_ERROR : `Unknown calendar ${calendarKey || ''}`.trim());
+  }
+  
+  const event = await calendar.client.getEvent(eventId);
+  const payload = {
+    webhookId: null,
+    calendar: calendar.calendarKey,
+    dispatchItem: { trigger: 'event.modified', event },
+    correlationId: currentCorrelationId(),
+    source: 'admin'
+  };
+  const job = JOB_MODE === 'inline' ? null : await jobQueue.enqueue(payload);
+  if (!job) await processDispatchItem(payload, { source: 'admin' });
+  // As for webhooks, a serverless function sends its notifications before it answers
+  if (SERVERLESS) await notifier.flush();
+  
+  const discarded = await jobQueue.discardDeadLetters(dead => String(dead.payload.dispatchItem.event.id) === String(eventId)
+    && (dead.payload.calendar || '') === calendar.calendarKey);
+  logger.info(job ? 'Event queued to run again' : 'Event run again', { eventId, jobId: job ? job.id : null, discardedDeadLetters: discarded });
+  
+  return job;
+}
+
+// Read-only audit history: GET /history?calendar=&eventId=&seriesId=&status=&since=&until=&limit=
+app.get('/history', requireBearerToken(ADMIN_TOKEN, 'History'), (req, res) => sendHistory(res, req.query));
+
+// History of one event. A series ID also returns entries for its occurrences
+app.get('/events/:eventId/history', requireBearerToken(ADMIN_TOKEN, 'History'), (req, res) => {
+  sendHistory(res, { ...req.query, eventId: req.params.eventId });
+});
+
+async function sendHistory(res, { calendar, eventId, seriesId, status, since, until, limit }) {
+  const badDate = [since, until].find(value => value && isNaN(new Date(value).getTime()));
+  if (badDate) {
+    res.status(400).json({ error: `Invalid date "${badDate}"` });
+    return;
+  }
+  
+  try {
+    const entries = await auditStore.query({
+      calendar,
+      eventId,
+      seriesId,
+      status,
+      since,
+      until,
+      limit: Math.min(Number(limit) || 100, 1000)
+    });
+    res.status(200).json({ entries });
+  } catch (error) {
+    logger.error('History query failed', { error });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Built feeds by "<calendar>:<subcalendarId>", as { body, etag, expiresAt }
+const feedCache = new Map();
+
+// iCalendar feed of a mapped sub-calendar with each event's join info. Calendars other
+// than the only one are chosen by path: /feeds/:calendarKey/:subcalendarId.ics
+app.get(['/feeds/:subcalendarId.ics', '/feeds/:calendarKey/:subcalendarId.ics'], FEED_TOKEN ? requireBearerToken(FEED_TOKEN, 'Feeds') : (req, res, next) => next(), async (req, res) => {
+  const { subcalendarId } = req.params;
+  const calendar = findCalendar(req.params.calendarKey);
+  
+  if (!calendar || !calendar.config.managedSubcalendarIds.has(subcalendarId)) {
+    res.status(404).send('Unknown feed');
+    return;
+  }
+  
+  if (!calendar.client) {
+    res.status(503).send(MISSING_CLIENT_ERROR);
+    return;
+  }
+  
+  try {
+    const feed = await cachedFeed(calendar, subcalendarId);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${subcalendarId}.ics"`,
+      'Cache-Control': `${FEED_TOKEN ? 'private' : 'public'}, max-age=${FEED_CACHE_SECONDS}`,
+      ETag: feed.etag
+    });
     
-    // Check required environment variables
-    if (!CALENDAR_ID) {
-      console.error('❌ CALENDAR_ID environment variable is not set');
-      return false;
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+    res.status(200).send(feed.body);
+  } catch (error) {
+    logger.error('Feed could not be built', { calendar: calendar.calendarKey || null, subcalendarId, error });
+    res.status(502).send('Feed could not be built');
+  }
+});
+
+async function cachedFeed(calendar, subcalendarId) {
+  const cacheKey = `${calendar.calendarKey}:${subcalendarId}`;
+  const cached = feedCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+  
+  const body = await buildFeed(calendar, subcalendarId);
+  const feed = {
+    body,
+    etag: `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`,
+    expiresAt: Date.now() + FEED_CACHE_SECONDS * 1000
+  };
+  feedCache.set(cacheKey, feed);
+  return feed;
+}
+
+// The sub-calendar's events from FEED_PAST_DAYS ago to FEED_FUTURE_DAYS ahead, linked to
+// the meeting their mapping gives them. Provider meetings not created yet are left out
+async function buildFeed(calendar, subcalendarId) {
+  const day = 24 * 60 * 60 * 1000;
+  const startDate = new Date(Date.now() - FEED_PAST_DAYS * day).toISOString().slice(0, 10);
+  const endDate = new Date(Date.now() + FEED_FUTURE_DAYS * day).toISOString().slice(0, 10);
+  const events = await calendar.client.listEvents({ startDate, endDate, subcalendarIds: [subcalendarId] });
+  
+  let name = `Sub-calendar ${subcalendarId}`;
+  try {
+    const subcalendar = (await calendar.client.listSubcalendars()).find(entry => String(entry.id) === subcalendarId);
+    if (subcalendar && subcalendar.name) name = subcalendar.name;
+  } catch (error) {
+    logger.warn('Could not fetch sub-calendar name for feed', { subcalendarId, error });
+  }
+  
+  return buildCalendar({
+    name,
+    calendarKey: calendar.calendarKey,
+    events,
+    // Occurrences missing from this window are written as EXDATEs
+    window: { start: new Date(startDate), end: new Date(endDate) },
+    joinInfoFor: (event) => {
+      const match = findMapping(calendar.config.mappings, event);
+      const meeting = match ? storedMeeting(calendar, match.mapping, event) : null;
+      if (!meeting || !meeting.url) return null;
+      return { url: meeting.url, text: htmlToText(renderMappingLink(match.mapping, event, meeting)) };
     }
+  });
+}
+
+// Add an entry to the audit trail. Failing to record never fails the update itself
+async function recordAudit(calendarKey, dispatchItem, fields) {
+  const event = dispatchItem.event;
+  const parsed = parseEventId(event.id);
+  const seriesId = event.series_id || (parsed.isInstance || event.rrule ? parsed.seriesId : null);
+  
+  try {
+    await auditStore.record({
+      correlationId: currentCorrelationId(),
+      calendar: calendarKey || null,
+      source: 'webhook',
+      trigger: dispatchItem.trigger,
+      eventId: String(event.id),
+      seriesId: seriesId ? String(seriesId) : null,
+      title: event.title || null,
+      subcalendarId: null,
+      field: null,
+      before: null,
+      after: null,
+      status: null,
+      strategy: null,
+      attempts: [],
+      error: null,
+      ...fields
+    });
+  } catch (error) {
+    logger.error('Could not record audit entry', { eventId: event.id, error });
+  }
+}
+
+// Tell someone an event is left without its link
+function notifyFailure(calendar, event, { subcalendarId, mapping, errorId, error }) {
+  notifier.notify({
+    calendar: calendar.calendarKey || null,
+    eventId: String(event.id),
+    title: event.title || null,
+    start: event.start_dt || null,
+    tz: event.tz || null,
+    subcalendarId: subcalendarId ? String(subcalendarId) : null,
+    mapping: mapping.name || null,
+    errorId,
+    error
+  });
+}
+
+// Process one queued dispatch item for the calendar with key `calendar`.
+// Throws when the update failed so the queue retries it.
+// Returns { status, eventId, ... } where status is updated, unchanged, removed or skipped.
+// Updates go through `client` (the calendar's own by default), which dry-run mode swaps for
+// one that records writes. Every outcome is counted in the metrics and written to the audit
+// trail, and providers create any meeting the event needs, unless `dryRun` is set
+async function processDispatchItem({ dispatchItem, calendar: calendarKey }, { client, dryRun = false, source } = {}) {
+  const calendar = findCalendar(calendarKey);
+  if (!calendar) {
+    throw new Error(`Unknown calendar ${calendarKey}`);
+  }
+  
+  const { config } = calendar;
+  client = client || calendar.client;
+  
+  const trigger = dispatchItem.trigger;
+  const eventData = dispatchItem.event;
+  const eventId = eventData.id;
+  const record = async (fields) => {
+    if (dryRun) return;
+    metrics.outcome(fields);
+    await recordAudit(calendar.calendarKey, dispatchItem, { source: source || 'webhook', ...fields });
+  };
+  
+  // Log if this is a recurring event
+  const isRecurring = !!eventData.series_id || !!eventData.rrule;
+  if (isRecurring) {
+    logger.debug('Recurring event detected', { eventId, seriesId: eventData.series_id || null, rrule: eventData.rrule || null });
+  }
+  
+  // Deleted events can't be updated - record what was removed and delete its meetings
+  if (trigger === 'event.removed') {
+    logRemovedEvent(eventData, calendar);
     
-    if (!TEAMUP_API_KEY) {
-      console.error('❌ TEAMUP_API_KEY environment variable is not set');
-      return false;
+    let deletedMeetings = [];
+    if (!dryRun) {
+      try {
+        deletedMeetings = await releaseMeetings(calendar, eventData, 'event removed');
+      } catch (error) {
+        logger.error('Could not delete meeting of removed event', { eventId, error });
+        await record({ status: 'failed', error: error.message });
+        throw error;
+      }
     }
     
-    // Log actual values (safely)
-    console.log(`Calendar ID: ${CALENDAR_ID}`);
-    console.log(`API Key: ${TEAMUP_API_KEY ? (TEAMUP_API_KEY.substring(0, 3) + '...') : 'not set'}`);
+    await record({ status: 'removed' });
+    return { status: 'removed', eventId, deletedMeetings };
+  }
+  
+  // Check if this is an event creation or modification
+  if (trigger !== 'event.created' && trigger !== 'event.modified') {
+    logger.info('Event trigger does not match criteria (created/modified/removed)', { eventId, trigger });
+    await record({ status: 'skipped', error: `Unhandled trigger ${trigger}` });
+    return { status: 'skipped', eventId, reason: `Unhandled trigger ${trigger}` };
+  }
+  
+  const subCalendarIds = eventSubcalendarIds(eventData);
+  
+  // Check if the event has any sub-calendar
+  if (subCalendarIds.length === 0) {
+    logger.warn('No subcalendar_id found in event', { eventId });
+    await record({ status: 'skipped', error: 'No sub-calendar' });
+    return { status: 'skipped', eventId, reason: 'No sub-calendar' };
+  }
+  
+  // Log event fields for detailed debugging (custom field values are redacted)
+  logger.debug('Event details', {
+    eventId,
+    trigger,
+    subcalendarIds: subCalendarIds,
+    title: eventData.title || null,
+    start_dt: eventData.start_dt || null,
+    customFields: Object.keys(eventData.custom || {})
+  });
+  
+  // Find the highest priority mapping whose rules match this event
+  const match = findMapping(config.mappings, eventData);
+  
+  // Links we wrote into fields the matching mapping doesn't manage are stale,
+  // e.g. after the event moved off a Zoom-linked sub-calendar
+  const staleFields = findOwnedFields(config.mappings, eventData, (mapping) => storedMeeting(calendar, mapping, eventData))
+    .filter(owned => !match || owned.field !== match.mapping.customFieldName);
+  
+  if (staleFields.length > 0) {
+    const cleared = await clearStaleLinks(eventData, staleFields, isRecurring, client);
+    for (const { field, html, result } of cleared) {
+      await record({
+        field,
+        before: result.previous === null ? html : result.previous,
+        after: result.success && !result.unchanged ? '' : result.previous,
+        status: result.success ? (result.unchanged ? 'unchanged' : 'cleared') : 'failed',
+        strategy: result.strategy,
+        attempts: result.attempts,
+        error: result.error
+      });
+    }
+  }
+  
+  // A provider's meeting is no use once the event no longer matches a mapping that uses one
+  if (!dryRun && (!match || match.mapping.provider.type === 'static')) {
+    try {
+      await releaseMeetings(calendar, eventData, 'event no longer uses a meeting provider');
+    } catch (error) {
+      logger.error('Could not delete meeting the event no longer uses', { eventId, error });
+      await record({ status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+  
+  // Check if we have a Zoom link for this event
+  if (!match) {
+    logger.info('No Zoom link rule matches event', {
+      eventId,
+      subcalendarIds: subCalendarIds,
+      managedSubcalendarIds: Array.from(config.managedSubcalendarIds)
+    });
+    await record({ status: 'skipped', error: 'No matching mapping' });
+    return { status: 'skipped', eventId, reason: 'No matching mapping', clearedFields: staleFields.map(owned => owned.field) };
+  }
+  
+  const { mapping, subcalendarId: subCalendarIdStr } = match;
+  logger.info('Found Zoom link mapping', { eventId, subcalendarId: subCalendarIdStr, mapping: mapping.name || null, field: mapping.customFieldName });
+  
+  let meeting;
+  try {
+    meeting = await meetingFor(calendar, mapping, eventData, { create: !dryRun });
+  } catch (error) {
+    logger.error('Could not create or update meeting', { eventId, provider: mapping.provider.type, error });
+    await record({ subcalendarId: subCalendarIdStr, field: mapping.customFieldName, status: 'failed', error: error.message });
+    if (!dryRun) notifyFailure(calendar, eventData, { subcalendarId: subCalendarIdStr, mapping, errorId: null, error: error.message });
+    throw error;
+  }
+  
+  // Render the link HTML from the mapping's template, the meeting and this event's fields
+  const zoomLink = renderMappingLink(mapping, eventData, meeting);
+  
+  // Our own PUTs come back as event.modified - don't write the same value again
+  if (isFieldUpToDate(eventData.custom, mapping.customFieldName, zoomLink)) {
+    logger.info('Event already has the current Zoom link, skipping update', { eventId });
+    const current = fieldHtml(eventData.custom, mapping.customFieldName);
+    await record({ subcalendarId: subCalendarIdStr, field: mapping.customFieldName, before: current, after: current, status: 'unchanged' });
+    return { status: 'unchanged', eventId, subcalendarId: subCalendarIdStr };
+  }
+  
+  let result;
+  if (isRecurring) {
+    // For recurring events, we'll use the event data from the webhook
+    result = await updateRecurringEventZoomLink(eventData, zoomLink, {
+      customFieldName: mapping.customFieldName,
+      strategies: mapping.strategies,
+      recurrenceScope: mapping.recurrenceScope,
+      subcalendarPolicy: mapping.subcalendarPolicy,
+      triggeringSubcalendarId: subCalendarIdStr,
+      managedSubcalendarIds: config.managedSubcalendarIds,
+      client
+    });
+  } else {
+    // For regular events, use the normal approach
+    result = await updateEventZoomLink(eventId, zoomLink, {
+      customFieldName: mapping.customFieldName,
+      subcalendarPolicy: mapping.subcalendarPolicy,
+      triggeringSubcalendarId: subCalendarIdStr,
+      managedSubcalendarIds: config.managedSubcalendarIds,
+      client
+    });
+  }
+  
+  if (!result.success) {
+    logger.error('Failed to update event with Zoom link', { eventId, error: result.error, attempts: result.attempts });
+    await record({
+      subcalendarId: subCalendarIdStr,
+      field: mapping.customFieldName,
+      before: result.previous,
+      after: result.previous,
+      status: 'failed',
+      attempts: result.attempts,
+      error: result.error
+    });
+    if (!dryRun) {
+      const failedAttempt = result.attempts.slice().reverse().find(attempt => attempt.errorId);
+      notifyFailure(calendar, eventData, {
+        subcalendarId: subCalendarIdStr,
+        mapping,
+        errorId: failedAttempt ? failedAttempt.errorId : null,
+        error: result.error
+      });
+    }
+    const error = new Error(`Failed to update event ${eventId}: ${result.error}`);
+    error.result = result;
+    throw error;
+  }
+  
+  logger.info('Updated event with Zoom link', {
+    eventId,
+    strategy: result.strategy,
+    unchanged: result.unchanged,
+    removedSubcalendarIds: result.removedSubcalendarIds,
+    subcalendarPolicy: mapping.subcalendarPolicy
+  });
+  
+  await record({
+    subcalendarId: subCalendarIdStr,
+    field: mapping.customFieldName,
+    before: result.previous,
+    after: result.unchanged ? result.previous : zoomLink,
+    status: result.unchanged ? 'unchanged' : 'updated',
+    strategy: result.strategy,
+    attempts: result.attempts
+  });
+  
+  return {
+    status: result.unchanged ? 'unchanged' : 'updated',
+    eventId,
+    subcalendarId: subCalendarIdStr,
+    mapping: mapping.name,
+    // The ordered strategies a recurring update tries; result.strategy is the one that ran
+    strategies: isRecurring ? mapping.strategies : null,
+    result
+  };
+}
+
+// True when a custom field no longer holds the value read earlier (null = empty)
+function fieldChangedSince(custom, fieldName, earlierHtml) {
+  if (earlierHtml === null) return fieldHtml(custom, fieldName) !== null;
+  return !isFieldUpToDate(custom, fieldName, earlierHtml);
+}
+
+// Function to update the Zoom link for a regular event
+async function updateEventZoomLink(eventId, zoomLink, {
+  customFieldName,
+  subcalendarPolicy = DEFAULT_SUBCALENDAR_POLICY,
+  triggeringSubcalendarId = null,
+  onlyIfCurrentIn = null,
+  managedSubcalendarIds = new Set(),
+  client
+}) {
+  try {
+    logger.debug('Updating event', { eventId, calendar: client ? client.calendarKey : null });
     
-    const baseUrl = `https://api.teamup.com/${CALENDAR_ID}`;
+    // The calendar needs both a calendar key and an API key
+    if (!client) {
+      logger.error(MISSING_CLIENT_ERROR);
+      return updateResult({ error: MISSING_CLIENT_ERROR });
+    }
     
-    // First, get the existing event data
-    console.log(`Fetching existing event data from: ${baseUrl}/events/${eventId}`);
+    // Declared here so error logging can show what we tried to send
+    let updateData;
+    let removedSubcalendarIds = [];
+    // The field's value before our update, for the audit trail
+    let previous = null;
+    // PUTs rejected because the event changed after we read it
+    const conflicts = [];
+    // The field's value when the last rejected PUT was built
+    let readBeforeConflict = null;
     
     try {
-      // Get the current event
-      const getResponse = await axios({
-        method: 'get',
-        url: `${baseUrl}/events/${eventId}`,
-        headers: {
-          'Teamup-Token': TEAMUP_API_KEY
+      for (;;) {
+        // Get the current event and log all fields for debugging
+        const eventData = await client.getEvent(eventId);
+        logger.trace('Retrieved event', { eventId, version: eventData.version || null, properties: Object.keys(eventData) });
+        previous = fieldHtml(eventData.custom, customFieldName);
+        
+        // The webhook payload may be stale - re-check against the fetched event
+        if (isFieldUpToDate(eventData.custom, customFieldName, zoomLink)) {
+          logger.info('Event already has the current Zoom link, skipping update', { eventId });
+          return updateResult({ success: true, unchanged: true, previous, attempts: conflicts });
         }
-      });
-      
-      console.log(`Successfully fetched event data. Status: ${getResponse.status}`);
-      
-      // Get the existing event data and log all fields for debugging
-      const eventData = getResponse.data.event; // Extract from the "event" property
-      console.log("Retrieved event properties:", Object.keys(eventData).join(', '));
-      
-      // Handle multiple subcalendars properly
-      const currentSubcalendarIds = eventData.subcalendar_ids || [];
-      console.log("Current subcalendar IDs:", currentSubcalendarIds);
-      
-      // Convert our SUB_CALENDAR_ZOOM_LINKS keys to numbers for consistent comparison
-      const ourSubcalendarIds = Object.keys(SUB_CALENDAR_ZOOM_LINKS).map(id => Number(id));
-      
-      // Filter subcalendar IDs:
-      // 1. Keep all subcalendars NOT in our list
-      // 2. Keep ONE subcalendar from our list (the one that triggered this webhook)
-      const managedIds = currentSubcalendarIds.filter(id => ourSubcalendarIds.includes(id));
-      const otherIds = currentSubcalendarIds.filter(id => !ourSubcalendarIds.includes(id));
-      
-      // If we have managed IDs, keep the first one (should be the triggering ID)
-      const keepOneId = managedIds.length > 0 ? [managedIds[0]] : [];
-      
-      // Combine: IDs we're not managing + one ID we are managing
-      const finalSubcalendarIds = [...otherIds, ...keepOneId];
-      
-      console.log("Filtered subcalendar IDs:", finalSubcalendarIds);
-      
-      // Create a proper copy of the custom fields
-      const customFields = copyCustomFields(eventData.custom);
-      
-      // Update our specific custom field with the HTML-formatted link
-      customFields[CUSTOM_FIELD_NAME] = {
-        html: zoomLink
-      };
-      
-      // Create the update payload with all required fields
-      const updateData = {
-        id: eventId,
-        start_dt: eventData.start_dt,
-        end_dt: eventData.end_dt,
-        title: eventData.title || '',
-        subcalendar_id: finalSubcalendarIds[0], // Primary subcalendar ID
-        subcalendar_ids: finalSubcalendarIds,   // All subcalendar IDs
-        custom: customFields
-      };
-      
-      // Also include other important fields if they exist
-      if (eventData.who) updateData.who = eventData.who;
-      if (eventData.location) updateData.location = eventData.location;
-      if (eventData.notes) updateData.notes = eventData.notes;
-      if (eventData.tz) updateData.tz = eventData.tz;
-      if (eventData.all_day !== undefined) updateData.all_day = eventData.all_day;
-      
-      console.log(`Updating event with payload:`, JSON.stringify(updateData, null, 2));
-      
-      // Make the API request to update the event
-      const updateResponse = await axios.put(
-        `${baseUrl}/events/${eventId}`,
-        updateData,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Teamup-Token': TEAMUP_API_KEY
-          }
+        
+        // Only overwrite values we wrote ourselves (used when clearing stale links)
+        if (onlyIfCurrentIn && !onlyIfCurrentIn.some(html => isFieldUpToDate(eventData.custom, customFieldName, html))) {
+          logger.info('Field was changed by an editor, leaving it alone', { eventId, field: customFieldName });
+          return updateResult({ success: true, unchanged: true, previous, attempts: conflicts });
         }
-      );
-      
-      console.log(`API response status: ${updateResponse.status}`);
-      console.log(`Response data: ${JSON.stringify(updateResponse.data || {})}`);
-      return true;
-    } catch (axiosError) {
-      console.error('❌ API request failed:', axiosError.message);
-      
-      if (axiosError.response) {
-        console.error('Response status:', axiosError.response.status);
-        console.error('Response data:', JSON.stringify(axiosError.response.data || {}));
         
-        // Detailed logging for specific error types
-        const errorId = axiosError.response.data?.error?.id;
-        if (errorId === 'event_missing_start_end_datetime') {
-          console.error('ERROR DETAILS: Missing start or end dates');
-          console.error('start_dt:', axiosError.config?.data ? JSON.parse(axiosError.config.data).start_dt : 'unknown');
-          console.error('end_dt:', axiosError.config?.data ? JSON.parse(axiosError.config.data).end_dt : 'unknown');
-        } else if (errorId === 'validation_error') {
-          console.error('ERROR DETAILS: Validation error - check all required fields are present');
-          console.error('Payload was:', axiosError.config?.data);
+        // An editor who set the field while we were writing wins over our link
+        if (conflicts.length > 0 && fieldChangedSince(eventData.custom, customFieldName, readBeforeConflict)) {
+          logger.info('Field was changed by an editor during the update, leaving it alone', { eventId, field: customFieldName });
+          return updateResult({ success: true, unchanged: true, previous, attempts: conflicts });
+        }
+        
+        // Apply the mapping's sub-calendar policy when the event has several managed sub-calendars
+        const { subcalendarIds, primaryId, removed } = applySubcalendarPolicy(
+          subcalendarPolicy,
+          eventData,
+          managedSubcalendarIds,
+          triggeringSubcalendarId
+        );
+        removedSubcalendarIds = removed;
+        
+        if (removed.length > 0) {
+          logger.warn('Removing sub-calendars from event', { eventId, removed, subcalendarPolicy });
+        }
+        logger.debug('Sub-calendar IDs after policy', { eventId, before: eventData.subcalendar_ids || [], after: subcalendarIds });
+        
+        // Create a proper copy of the custom fields
+        const customFields = copyCustomFields(eventData.custom);
+        
+        // Update our specific custom field with the HTML-formatted link
+        customFields[customFieldName] = {
+          html: zoomLink
+        };
+        
+        // Send back every field as fetched - notes, version and anything else - so only
+        // the managed field and the sub-calendar policy change anything
+        updateData = {
+          ...eventData,
+          id: eventId,
+          title: eventData.title || '',
+          subcalendar_id: primaryId,        // Primary subcalendar ID
+          subcalendar_ids: subcalendarIds,  // All subcalendar IDs
+          custom: customFields
+        };
+        
+        logger.trace('Updating event with payload', { eventId, payload: updateData });
+        
+        try {
+          // Make the API request to update the event
+          const updatedEvent = await client.updateEvent(eventId, updateData);
+          
+          logger.debug('Event updated', { eventId, version: updatedEvent?.version || null });
+          return updateResult({
+            success: true,
+            strategy: 'event',
+            removedSubcalendarIds,
+            previous,
+            attempts: [...conflicts, { strategy: 'event', success: true, errorId: null, status: null, message: null }]
+          });
+        } catch (putError) {
+          if (!(putError instanceof VersionConflictError) || conflicts.length >= VERSION_CONFLICT_RETRIES) throw putError;
+          
+          // Someone edited the event between our GET and PUT - start again from their version
+          logger.warn('Event changed since it was read, re-fetching', { eventId, version: updateData.version || null, retry: conflicts.length + 1 });
+          conflicts.push({ strategy: 'event', success: false, errorId: putError.errorId || null, status: putError.status || null, message: putError.message });
+          readBeforeConflict = previous;
         }
-      } else {
-        console.error('No response from server');
       }
+    } catch (apiError) {
+      // Detailed logging for specific error types
+      const details = { eventId, error: apiError };
+      if (apiError instanceof MissingStartEndError) {
+        details.hint = 'Missing start or end dates';
+        details.start_dt = updateData?.start_dt || null;
+        details.end_dt = updateData?.end_dt || null;
+      } else if (apiError instanceof ValidationError) {
+        details.hint = 'Validation error - check all required fields are present';
+        details.payload = updateData || {};
+      } else if (apiError instanceof NetworkError) {
+        details.hint = 'No response from server';
+      } else if (apiError.data) {
+        details.response = apiError.data;
+      }
+      logger.error('API request failed', details);
       
-      return false;
+      return updateResult({
+        error: apiError.message,
+        previous,
+        versionConflict: apiError instanceof VersionConflictError,
+        attempts: [...conflicts, {
+          strategy: 'event',
+          success: false,
+          errorId: apiError.errorId || null,
+          status: apiError.status || null,
+          message: apiError.message
+        }]
+      });
     }
   } catch (error) {
-    console.error('❌ Error in updateEventZoomLink function:', error.message || error);
-    return false;
+    logger.error('Error in updateEventZoomLink', { eventId, error });
+    return updateResult({ error: error.message || String(error) });
   }
 }
 
 // Function to handle recurring events using Teamup's recommended approach
-async function updateRecurringEventZoomLink(eventData, zoomLink) {
+async function updateRecurringEventZoomLink(eventData, zoomLink, {
+  customFieldName,
+  strategies = DEFAULT_STRATEGIES,
+  recurrenceScope = null,
+  subcalendarPolicy = DEFAULT_SUBCALENDAR_POLICY,
+  triggeringSubcalendarId = null,
+  onlyIfCurrentIn = null,
+  managedSubcalendarIds = new Set(),
+  client
+}) {
   try {
-    console.log(`Handling recurring event with ID ${eventData.id}...`);
+    logger.debug('Updating recurring event', { eventId: eventData.id, calendar: client ? client.calendarKey : null });
     
-    if (!CALENDAR_ID || !TEAMUP_API_KEY) {
-      console.error('❌ Missing required environment variables');
-      return false;
+    if (!client) {
+      logger.error(MISSING_CLIENT_ERROR);
+      return updateResult({ error: MISSING_CLIENT_ERROR });
     }
     
-    const baseUrl = `https://api.teamup.com/${CALENDAR_ID}`;
+    // Work out the series ID, ristart_dt and redit for the configured scope
+    const { targetId: instanceId, seriesId, ristartDt, redit, isInstance, isMaster } = resolveRecurrenceTarget(eventData, recurrenceScope);
     
-    // Check if this is a master recurring event or an instance
-    const isRecurringInstance = eventData.id.includes('-rid-');
+    logger.debug('Resolved recurrence target', {
+      eventId: eventData.id,
+      targetId: instanceId,
+      seriesId,
+      ristartDt,
+      kind: isInstance ? 'instance' : isMaster ? 'master' : 'other',
+      redit: redit || null
+    });
     
-    // Get the series ID (master event ID) 
-    let seriesId;
-    let instanceId = eventData.id;
+    // Attempts from earlier rounds, each ended by a version conflict
+    let earlierAttempts = [];
+    let conflictRetries = 0;
+    // The field's value when the last conflicting round read the event
+    let readBeforeConflict = null;
     
-    if (isRecurringInstance) {
-      // For a recurring instance, extract the series ID from the instance ID
-      seriesId = parseInt(eventData.id.split('-rid-')[0]);
-      console.log(`This is a recurring instance. Extracted series_id ${seriesId} from instance ID ${eventData.id}`);
-    } else {
-      // For a master recurring event, the series ID is the event ID itself
-      seriesId = parseInt(eventData.id);
+    for (;;) {
+      // Get the current event to ensure we have all required fields
+      let currentEvent;
+      try {
+        currentEvent = await client.getEvent(instanceId);
+        logger.trace('Retrieved event', { eventId: instanceId, version: currentEvent.version || null });
+      } catch (getError) {
+        logger.error('Failed to get event details', { eventId: instanceId, error: getError, response: getError.data });
+        return updateResult({ error: getError.message, attempts: earlierAttempts });
+      }
       
-      // If this is a master event but we have the rrule, we need to create an instance ID
-      // This is because Teamup appears to require instance IDs for editing recurring events
-      if (eventData.rrule && eventData.start_dt) {
-        // Create a timestamp from the start date
-        let startDate;
-        if (typeof eventData.start_dt === 'string') {
-          startDate = new Date(eventData.start_dt);
-        } else if (typeof eventData.start_dt === 'number') {
-          startDate = new Date(eventData.start_dt * 1000); // Convert Unix timestamp to milliseconds
-        }
-        
-        if (startDate && !isNaN(startDate.getTime())) {
-          const timestamp = Math.floor(startDate.getTime() / 1000); // Convert to seconds
-          instanceId = `${seriesId}-rid-${timestamp}`;
-          console.log(`Created instance ID ${instanceId} for master recurring event`);
-        }
+      const previous = fieldHtml(currentEvent.custom, customFieldName);
+      
+      if (isFieldUpToDate(currentEvent.custom, customFieldName, zoomLink)) {
+        logger.info('Event already has the current Zoom link, skipping update', { eventId: instanceId });
+        return updateResult({ success: true, unchanged: true, previous, attempts: earlierAttempts });
       }
       
-      console.log(`This is a master recurring event with series_id ${seriesId}`);
-    }
-    
-    // Extract or create ristart_dt (recurrence instance start date)
-    let ristartDt = null;
-    
-    // 1. Try to extract from the instance ID
-    if (isRecurringInstance) {
-      const timestampPart = eventData.id.split('-rid-')[1];
-      if (timestampPart) {
-        const timestamp = parseInt(timestampPart);
-        if (!isNaN(timestamp)) {
-          const date = new Date(timestamp * 1000);
-          ristartDt = date.toISOString();
-          console.log(`Extracted ristart_dt from instance ID: ${ristartDt}`);
-        }
+      // Only overwrite values we wrote ourselves (used when clearing stale links)
+      if (onlyIfCurrentIn && !onlyIfCurrentIn.some(html => isFieldUpToDate(currentEvent.custom, customFieldName, html))) {
+        logger.info('Field was changed by an editor, leaving it alone', { eventId: instanceId, field: customFieldName });
+        return updateResult({ success: true, unchanged: true, previous, attempts: earlierAttempts });
       }
-    }
-    
-    // 2. Use provided ristart_dt if available
-    if (!ristartDt && eventData.ristart_dt) {
-      ristartDt = eventData.ristart_dt;
-      console.log(`Using provided ristart_dt: ${ristartDt}`);
-    }
-    
-    // 3. As last resort, use start_dt
-    if (!ristartDt && eventData.start_dt) {
-      ristartDt = eventData.start_dt;
-      console.log(`No ristart_dt available, using start_dt as fallback: ${ristartDt}`);
-    }
-    
-    // Create a copy of the custom fields and update only the zoom_link2 field
-    const customFields = {};
-    if (eventData.custom) {
-      Object.keys(eventData.custom).forEach(key => {
-        customFields[key] = eventData.custom[key];
-      });
-    }
-    
-    customFields[CUSTOM_FIELD_NAME] = {
-      html: zoomLink
-    };
-    
-    // STEP 1: First try to get the current event to ensure we have all required fields
-    try {
-      console.log(`Getting current event details for ID: ${instanceId}`);
       
-      const getResponse = await axios({
-        method: 'get',
-        url: `${baseUrl}/events/${instanceId}`,
-        headers: {
-          'Teamup-Token': TEAMUP_API_KEY
-        }
+      // An editor who set the field while we were writing wins over our link
+      if (conflictRetries > 0 && fieldChangedSince(currentEvent.custom, customFieldName, readBeforeConflict)) {
+        logger.info('Field was changed by an editor during the update, leaving it alone', { eventId: instanceId, field: customFieldName });
+        return updateResult({ success: true, unchanged: true, previous, attempts: earlierAttempts });
+      }
+      
+      // Apply the same sub-calendar policy as regular events
+      const { subcalendarIds, primaryId, removed } = applySubcalendarPolicy(
+        subcalendarPolicy,
+        currentEvent,
+        managedSubcalendarIds,
+        triggeringSubcalendarId
+      );
+      
+      if (removed.length > 0) {
+        logger.warn('Removing sub-calendars from event', { eventId: instanceId, removed, subcalendarPolicy });
+      }
+      
+      // Try each configured strategy in order until one succeeds
+      const result = await runStrategies(client, strategies, {
+        instanceId,
+        seriesId,
+        ristartDt,
+        redit,
+        currentEvent,
+        subcalendarIds,
+        primaryId,
+        customFieldName,
+        zoomLink
       });
       
-      const currentEvent = getResponse.data.event;
-      console.log(`Successfully retrieved event details. Version: ${currentEvent.version || 'N/A'}`);
+      result.previous = previous;
+      result.attempts = [...earlierAttempts, ...result.attempts];
       
-      // Only modify the custom field with the zoom link
-      if (!currentEvent.custom) {
-        currentEvent.custom = {};
+      // Someone edited the event between our GET and PUT - start again from their version
+      if (result.versionConflict && conflictRetries < VERSION_CONFLICT_RETRIES) {
+        conflictRetries++;
+        logger.warn('Event changed since it was read, re-fetching', { eventId: instanceId, version: currentEvent.version || null, retry: conflictRetries });
+        earlierAttempts = result.attempts;
+        readBeforeConflict = previous;
+        continue;
       }
-      currentEvent.custom[CUSTOM_FIELD_NAME] = { html: zoomLink };
       
-      // Construct a payload according to Teamup's instructions
-      // Include series_id (integer value of the event ID)
-      const updatePayload = {
-        id: instanceId,                  // Include the full instance ID with -rid- part
-        series_id: seriesId,             // As per Teamup support, use the integer value
-        custom: currentEvent.custom,     // Only change the custom fields
-        // Required fields
-        subcalendar_id: currentEvent.subcalendar_id,
-        title: currentEvent.title || '',
-        start_dt: currentEvent.start_dt,
-        end_dt: currentEvent.end_dt,
-        // Optional fields that should be preserved
-        version: currentEvent.version
-      };
+      if (result.success) {
+        result.removedSubcalendarIds = removed;
+      }
       
-      // Specific fields for recurring events
-      if (currentEvent.rrule) {
-        updatePayload.rrule = currentEvent.rrule;
-        updatePayload.ristart_dt = ristartDt;
-        
-        // Don't include redit parameter to preserve the series
-        // This is key - "redit: 'single'" might be causing the series to break
-      } else {
-        // For non-recurring events, no specific handling needed
-        console.log(`This appears to be a non-recurring event`);
+      if (!result.success) {
+        logger.error('All attempts failed - unable to update Zoom link', {
+          eventId: eventData.id,
+          attempts: result.attempts.map(attempt => ({ strategy: attempt.strategy, errorId: attempt.errorId || null, status: attempt.status }))
+        });
       }
       
-      // Include other important fields if they exist in the current event
-      if (currentEvent.all_day !== undefined) updatePayload.all_day = currentEvent.all_day;
-      if (currentEvent.tz) updatePayload.tz = currentEvent.tz;
-      if (currentEvent.location) updatePayload.location = currentEvent.location;
-      if (currentEvent.who) updatePayload.who = currentEvent.who;
+      return result;
+    }
+  } catch (error) {
+    logger.error('Unhandled error in updateRecurringEventZoomLink', { eventId: eventData.id, error });
+    return updateResult({ error: error.message });
+  }
+}
+
+// The stored record of this event's meeting under the mapping, as { key, record }, or null.
+// A record under the event's previous key (before it became a series, or stopped being
+// one) is found too
+function findMeetingRecord(calendar, mapping, event) {
+  const keys = [
+    meetingKey(calendar.calendarKey, mapping, event),
+    previousMeetingKey(calendar.calendarKey, mapping, event)
+  ].filter(Boolean);
+  
+  for (const key of keys) {
+    const record = meetingStore.get(key);
+    if (record) return { key, record };
+  }
+  
+  return null;
+}
+
+// The meeting a mapping links this event to without creating one: the mapping's own
+// meeting for the static provider, otherwise the one stored for the event (or series), or null
+function storedMeeting(calendar, mapping, event) {
+  if (mapping.provider.type === 'static') return mapping.meeting;
+  
+  const found = findMeetingRecord(calendar, mapping, event);
+  return found && found.record.provider === mapping.provider.type ? found.record.meeting : null;
+}
+
+// Work on each meeting key still running, so that webhooks for the same event or series
+// arriving together (e.g. two occurrences of a new series) take turns
+const meetingWork = new Map();
+
+// Runs fn once every earlier call for the same meeting key has finished
+function inTurnForMeeting(key, fn) {
+  const run = (meetingWork.get(key) || Promise.resolve()).then(fn);
+  const settled = run.catch(() => {});
+  meetingWork.set(key, settled);
+  settled.then(() => {
+    if (meetingWork.get(key) === settled) meetingWork.delete(key);
+  });
+  return run;
+}
+
+// The meeting a mapping links this event to, asking the provider to create one the first
+// time the event (or series) is seen. Later webhooks, including the echo of our own update,
+// reuse the stored meeting, updating it first when the event's time, title or recurrence
+// changed. With `create` false nothing is created or updated and a placeholder stands in
+// for a new meeting
+async function meetingFor(calendar, mapping, event, { create = true } = {}) {
+  if (mapping.provider.type === 'static') return mapping.meeting;
+  
+  const { type } = mapping.provider;
+  const key = meetingKey(calendar.calendarKey, mapping, event);
+  
+  if (!create) {
+    const found = findMeetingRecord(calendar, mapping, event);
+    return found && found.record.provider === type ? found.record.meeting : { url: `(new ${type} meeting)` };
+  }
+  
+  // Look the record up only once it's our turn: a webhook ahead of us may just have created it
+  return inTurnForMeeting(key, () => createOrSyncMeeting(calendar, mapping, event, key));
+}
+
+async function createOrSyncMeeting(calendar, mapping, event, key) {
+  const { type } = mapping.provider;
+  let found = findMeetingRecord(calendar, mapping, event);
+  
+  // The event moved to a mapping with another provider - its old meeting goes
+  if (found && found.record.provider !== type) {
+    await deleteMeeting(found.key, found.record, `now uses ${type}`);
+    found = null;
+  }
+  
+  if (found) return syncMeeting(key, found, mapping, event);
+  
+  const details = eventMeetingDetails(event, isSeriesMeetingKey(key));
+  const meeting = await meetingProviders[type].createMeeting(details, mapping);
+  const { seriesId } = resolveRecurrenceTarget(event);
+  const now = new Date().toISOString();
+  
+  await meetingStore.set(key, {
+    provider: type,
+    mapping: mapping.name,
+    eventId: String(event.id),
+    seriesId: event.series_id || event.rrule ? String(seriesId) : null,
+    meeting,
+    details,
+    createdAt: now,
+    updatedAt: now
+  });
+  
+  logger.info('Created meeting', { eventId: event.id, provider: type, key, providerMeetingId: meeting.providerMeetingId || null });
+  return meeting;
+}
+
+// Bring a stored meeting in line with the event: ask the provider to update it when the
+// details it was made for changed, and move it to `key` when the event's recurrence changed
+async function syncMeeting(key, { key: storedKey, record }, mapping, event) {
+  const details = eventMeetingDetails(event, isSeriesMeetingKey(key));
+  // Records without details predate lifecycle syncing - take the event as it is now
+  const changed = record.details ? changedMeetingDetails(record.details, details) : [];
+  
+  if (changed.length === 0 && storedKey === key && record.details) return record.meeting;
+  
+  let { meeting } = record;
+  if (changed.length > 0) {
+    const updated = await meetingProviders[record.provider].updateMeeting(meeting.providerMeetingId, details, mapping);
+    if (updated) meeting = updated;
+    logger.info('Updated meeting', { eventId: event.id, provider: record.provider, key, changed, providerMeetingId: meeting.providerMeetingId || null });
+  }
+  
+  if (storedKey !== key) {
+    await meetingStore.delete(storedKey);
+    logger.info('Meeting moved with the event\'s recurrence', { eventId: event.id, from: storedKey, to: key });
+  }
+  
+  await meetingStore.set(key, { ...record, key, meeting, details, updatedAt: new Date().toISOString() });
+  return meeting;
+}
+
+// Delete a stored meeting with its provider, then forget it
+async function deleteMeeting(key, record, reason) {
+  const provider = meetingProviders[record.provider];
+  
+  if (provider) {
+    await provider.deleteMeeting(record.meeting.providerMeetingId);
+  } else {
+    logger.warn('Meeting provider no longer configured, forgetting meeting without deleting it', { key, provider: record.provider });
+  }
+  
+  await meetingStore.delete(key);
+  logger.info('Deleted meeting', { key, provider: record.provider, eventId: record.eventId, reason, providerMeetingId: record.meeting.providerMeetingId || null });
+}
+
+// Delete the meetings that end with this event: its own, and its series' and its
+// occurrences' unless it is a single occurrence. Returns the keys deleted
+async function releaseMeetings(calendar, event, reason) {
+  const released = [];
+  const storedKeys = meetingStore.list().map(record => record.key);
+  
+  for (const key of eventMeetingKeys(calendar.calendarKey, event, storedKeys)) {
+    await inTurnForMeeting(key, async () => {
+      const record = meetingStore.get(key);
+      if (!record) return;
       
-      console.log(`Update payload:`, JSON.stringify(updatePayload, null, 2));
+      await deleteMeeting(key, record, reason);
+      released.push(key);
+    });
+  }
+  
+  return released;
+}
+
+// Clear links we wrote into fields that no longer apply to the event.
+// Returns [{ field, html, result }] with one updateResult per stale field
+async function clearStaleLinks(eventData, staleFields, isRecurring, client) {
+  const cleared = [];
+  
+  for (const { field, html, mapping } of staleFields) {
+    logger.info('Clearing stale Zoom link', { eventId: eventData.id, field, writtenFor: mapping.name || mapping.subcalendarIds });
+    
+    const options = {
+      customFieldName: field,
+      subcalendarPolicy: 'keep-all',
+      onlyIfCurrentIn: [html],
+      client
+    };
+    
+    try {
+      const result = isRecurring
+        ? await updateRecurringEventZoomLink(eventData, '', { ...options, strategies: mapping.strategies, recurrenceScope: mapping.recurrenceScope })
+        : await updateEventZoomLink(eventData.id, '', options);
       
-      // ATTEMPT 1: Full update following Teamup's recommendation
-      console.log(`ATTEMPT 1: Updating with full payload including rrule`);
-      try {
-        const updateResponse = await axios.put(
-          `${baseUrl}/events/${instanceId}`,
-          updatePayload,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Teamup-Token': TEAMUP_API_KEY
-            }
-          }
-        );
-        
-        console.log(`✅ ATTEMPT 1 successful! Status: ${updateResponse.status}`);
-        return true;
-      } catch (error1) {
-        console.log(`❌ ATTEMPT 1 failed: ${error1.message}`);
-        if (error1.response) {
-          console.log(`Status: ${error1.response.status}`);
-          console.log(`Error data:`, JSON.stringify(error1.response.data || {}, null, 2));
-          
-          // ATTEMPT 2: If overlap error, try again without rrule
-          if (error1.response.data?.error?.id === 'event_overlapping') {
-            console.log(`Detected overlapping error. Trying without rrule...`);
-            
-            // Create a copy without the rrule
-            const updatePayloadNoRrule = {...updatePayload};
-            delete updatePayloadNoRrule.rrule;
-            
-            // Also remove redit since it might be breaking the series
-            delete updatePayloadNoRrule.redit;
-            
-            console.log(`ATTEMPT 2 payload:`, JSON.stringify(updatePayloadNoRrule, null, 2));
-            
-            try {
-              const response2 = await axios.put(
-                `${baseUrl}/events/${instanceId}`,
-                updatePayloadNoRrule,
-                {
-                  headers: {
-                    'Content-Type': 'application/json',
-                    'Teamup-Token': TEAMUP_API_KEY
-                  }
-                }
-              );
-              
-              console.log(`✅ ATTEMPT 2 successful! Status: ${response2.status}`);
-              return true;
-            } catch (error2) {
-              console.log(`❌ ATTEMPT 2 failed: ${error2.message}`);
-              if (error2.response) {
-                console.log(`Status: ${error2.response.status}`);
-                console.log(`Error data:`, JSON.stringify(error2.response.data || {}, null, 2));
-              }
-              
-              // ATTEMPT 3: Try with bare minimum fields but preserving recurrence
-              console.log(`ATTEMPT 3: Using minimal payload but preserving recurrence pattern`);
-              
-              const minimalPayload = {
-                id: instanceId,
-                series_id: seriesId,
-                subcalendar_id: currentEvent.subcalendar_id,
-                start_dt: currentEvent.start_dt,
-                end_dt: currentEvent.end_dt,
-                title: currentEvent.title || '',
-                custom: {
-                  [CUSTOM_FIELD_NAME]: { html: zoomLink }
-                }
-              };
-              
-              // Add required recurrence fields but don't use redit
-              if (currentEvent.rrule) {
-                minimalPayload.rrule = currentEvent.rrule;
-                minimalPayload.ristart_dt = ristartDt;
-              }
-              
-              console.log(`ATTEMPT 3 payload:`, JSON.stringify(minimalPayload, null, 2));
-              
-              try {
-                const response3 = await axios.put(
-                  `${baseUrl}/events/${instanceId}`,
-                  minimalPayload,
-                  {
-                    headers: {
-                      'Content-Type': 'application/json',
-                      'Teamup-Token': TEAMUP_API_KEY
-                    }
-                  }
-                );
-                
-                console.log(`✅ ATTEMPT 3 successful! Status: ${response3.status}`);
-                return true;
-              } catch (error3) {
-                console.log(`❌ ATTEMPT 3 failed: ${error3.message}`);
-                if (error3.response) {
-                  console.log(`Status: ${error3.response.status}`);
-                  console.log(`Error data:`, JSON.stringify(error3.response.data || {}, null, 2));
-                }
-                
-                // Log the failure
-                console.error(`⚠️ ALL ATTEMPTS FAILED for event ${eventData.id} - unable to update Zoom link`);
-                console.error(`This appears to be a limitation of the Teamup API with recurring events on no-overlap calendars`);
-                return false;
-              }
-            }
-          } else {
-            // If it's not an overlap error, just log the failure
-            console.error(`⚠️ Failed to update event. Non-overlap error encountered.`);
-            return false;
-          }
-        } else {
-          console.error(`⚠️ Failed to update event. Network error encountered.`);
-          return false;
-        }
-      }
-    } catch (getError) {
-      console.error(`❌ Failed to get event details: ${getError.message}`);
-      if (getError.response) {
-        console.error(`Status: ${getError.response.status}`);
-        console.error(`Error data:`, JSON.stringify(getError.response.data || {}, null, 2));
+      if (result.success) {
+        logger.info('Cleared stale field', { eventId: eventData.id, field });
+      } else {
+        logger.error('Failed to clear stale field', { eventId: eventData.id, field, error: result.error });
       }
-      return false;
+      cleared.push({ field, html, result });
+    } catch (error) {
+      logger.error('Error clearing stale field', { eventId: eventData.id, field, error });
+      cleared.push({ field, html, result: updateResult({ error: error.message }) });
     }
-  } catch (error) {
-    console.error(`❌ Unhandled error in updateRecurringEventZoomLink: ${error.message}`);
-    return false;
   }
+  
+  return cleared;
+}
+
+// Record a deleted event. Nothing to update - the event no longer exists
+function logRemovedEvent(eventData, calendar) {
+  const owned = findOwnedFields(calendar.config.mappings, eventData, (mapping) => storedMeeting(calendar, mapping, eventData));
+  
+  logger.info('Event removed', {
+    eventId: eventData.id,
+    title: eventData.title || null,
+    start_dt: eventData.start_dt || null,
+    subcalendarIds: eventSubcalendarIds(eventData),
+    managedFields: owned.map(entry => entry.field)
+  });
 }
 
 // Helper function to safely copy custom fields
@@ -642,17 +1482,28 @@ function copyCustomFields(customData) {
   return customFields;
 }
 
-// For local testing
-if (require.main === module) {
+// Run as a long-lived server: `npm start`, `npm run dev` or `node webhook-handler.js`
+function startServer(port = getEnv('PORT', '3000')) {
   try {
-    const PORT = getEnv('PORT', '3000');
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+    return app.listen(port, () => {
+      logger.info(`Server running on port ${port}`, { jobMode: JOB_MODE });
     });
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
+    return null;
   }
 }
 
+if (require.main === module) {
+  startServer();
+}
+
 // For serverless deployment
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+// Exposed for the CLI and local tooling
+module.exports.startServer = startServer;
+module.exports.jobQueue = jobQueue;
+module.exports.notifier = notifier;
+module.exports.processDispatchItem = processDispatchItem;
+module.exports.runReconciliation = runReconciliation;
+module.exports.runReconciliationForAll = runReconciliationForAll;
\ No newline at end of file